@@ -0,0 +1,153 @@
+const ROLE_LEVELS = { viewer: 1, clinician: 2, admin: 3 };
+
+const ACTION_ROLES = {
+  loadTodaysPatients: 'viewer',
+  loadPatients: 'viewer',
+  getPatientListStamp: 'viewer',
+  getFieldSchema: 'viewer',
+  searchPatients: 'viewer',
+  getPatientHistory: 'viewer',
+  getPatientRecord: 'viewer',
+  getDuplicateComparison: 'viewer',
+  getPatientTimeline: 'viewer',
+  getDiseaseCodes: 'viewer',
+  getSafetyRules: 'viewer',
+  getPatientCertificates: 'viewer',
+  setUserLanguage: 'viewer',
+  savePatientData: 'clinician',
+  setPatientStatus: 'clinician',
+  resolveDuplicateSubmission: 'clinician',
+  restorePatientRevision: 'clinician',
+  setIdentityLink: 'clinician',
+  reportPatientData: 'clinician',
+  getReportStatistics: 'clinician',
+  trashPatients: 'clinician',
+  getTrashedPatients: 'clinician',
+  restoreTrashedPatients: 'clinician',
+  generateCertificate: 'clinician',
+  setEmailConsent: 'clinician',
+  sendVisitSummary: 'clinician',
+  getPatientEmails: 'clinician',
+  exportPatientData: 'admin',
+  exportReferralLog: 'admin',
+  cleanupExportArtifacts: 'admin',
+  deletePatientData: 'admin',
+  purgeExpiredTrash: 'admin',
+  installTrashPurgeTrigger: 'admin',
+  getDataSubjectVisits: 'admin',
+  exportDataSubject: 'admin',
+  pseudonymizeDataSubject: 'admin',
+  eraseDataSubject: 'admin',
+  purgeExpiredIdentities: 'admin',
+  installRetentionPurgeTrigger: 'admin',
+  refreshDiseaseCodes: 'admin',
+  refreshSafetyRules: 'admin',
+  getReportSchedules: 'admin',
+  saveReportSchedule: 'admin',
+  deleteReportSchedule: 'admin',
+  runScheduledReports: 'admin',
+  runReportScheduleNow: 'admin',
+  resetIDStorage: 'admin',
+  checkIdIntegrity: 'admin',
+  getIdIntegrityReport: 'admin',
+  applyIdFixes: 'admin',
+  nightlyFixAll: 'admin'
+};
+
+const ACCESS_LOG_HEADERS = ["Timestamp", "User", "Role", "Action", "Required Role"];
+
+// Set only while a verified time-driven trigger runs its handler; requireRole_ and getCurrentUserEmail_ check it
+let triggerHandler_ = null;
+
+function getRoleMap_() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty('ACCESS_ROLES') || '{}');
+  } catch (error) {
+    console.error("Invalid ACCESS_ROLES property:", error);
+    return {};
+  }
+}
+
+function getUserRole_(email) {
+  const props = PropertiesService.getScriptProperties();
+  const roles = getRoleMap_();
+  const normalizedEmail = (email || '').toLowerCase();
+  if (!normalizedEmail) return null;
+  const match = Object.keys(roles).find(key => key.toLowerCase() === normalizedEmail);
+  const role = match ? roles[match] : null;
+  if (ROLE_LEVELS[role]) return role;
+
+  // The script owner can never lock themselves out
+  if (normalizedEmail === Session.getEffectiveUser().getEmail().toLowerCase()) return 'admin';
+
+  const defaultRole = props.getProperty('DEFAULT_ROLE');
+  return ROLE_LEVELS[defaultRole] ? defaultRole : null;
+}
+
+function getAdminEmails_() {
+  const roles = getRoleMap_();
+  const admins = Object.keys(roles).filter(email => roles[email] === 'admin');
+  const owner = Session.getEffectiveUser().getEmail();
+  if (owner && admins.indexOf(owner) === -1) admins.push(owner);
+  return admins;
+}
+
+function hasRole_(role, requiredRole) {
+  return (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[requiredRole];
+}
+
+function isProjectTrigger_(e, handler) {
+  const triggerUid = e && e.triggerUid;
+  if (!triggerUid) return false;
+  return ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getUniqueId() === String(triggerUid) && trigger.getHandlerFunction() === handler);
+}
+
+function requireRole_(action, e) {
+  const requiredRole = ACTION_ROLES[action];
+  if (!requiredRole) throw appError_('error.unknownAction', { action });
+
+  // Triggers run without a signed-in user; their event is checked against the project's own triggers instead
+  if (isProjectTrigger_(e, action)) {
+    triggerHandler_ = action;
+    return requiredRole;
+  }
+
+  // Integrations are limited by the scopes of their token instead of a role
+  if (apiClient_) {
+    requireApiScope_(action);
+    return requiredRole;
+  }
+
+  const email = getActiveUserEmail_();
+  const role = getUserRole_(email);
+  if (hasRole_(role, requiredRole)) return role;
+
+  logAccessDenied_(email || 'necunoscut', role, action, requiredRole);
+  throw appError_('error.accessDenied');
+}
+
+function logAccessDenied_(email, role, action, requiredRole) {
+  console.warn(`Access denied: ${email} (${role || 'fără rol'}) -> ${action} (necesită ${requiredRole})`);
+  try {
+    const sheet = getProtectedSheet_(CONFIG.ACCESS_LOG_SHEET_NAME, ACCESS_LOG_HEADERS);
+    sheet.appendRow([new Date(), email, role || '', action, requiredRole]);
+  } catch (error) {
+    console.error("Error writing access log:", error);
+  }
+}
+
+function getUserAccess() {
+  const email = getActiveUserEmail_();
+  const role = getUserRole_(email);
+  const language = getUserLanguage_(email);
+  return {
+    email,
+    role,
+    actions: Object.keys(ACTION_ROLES).filter(action => hasRole_(role, ACTION_ROLES[action])),
+    language,
+    languages: SUPPORTED_LANGUAGES,
+    messages: getClientMessages_(language),
+    appUrl: ScriptApp.getService().getUrl()
+  };
+}
@@ -0,0 +1,161 @@
+const API_LOG_HEADERS = ["Timestamp", "Client", "Version", "Method", "Action", "Status", "Duration (ms)", "Error"];
+
+const API_SCOPES = {
+  'patients:read': ['loadPatients', 'searchPatients', 'getPatientRecord'],
+  'patients:write': ['savePatientData'],
+  'reports:read': ['getReportStatistics']
+};
+
+const API_ROUTES = {
+  v1: {
+    'patients.today': { method: 'GET', handler: params => loadPatients(apiDate_(new Date(), false), apiDate_(new Date(), true), params.cursor, params.pageSize) },
+    'patients.list': { method: 'GET', handler: params => loadPatients(apiDateParam_(params, 'startDate', false), apiDateParam_(params, 'endDate', true), params.cursor, params.pageSize) },
+    'patients.search': { method: 'GET', handler: params => searchPatients(params, params.cursor, params.pageSize) },
+    'patient.get': { method: 'GET', handler: params => getPatientRecord(apiParam_(params, 'id'), params.uid) },
+    'patient.update': { method: 'POST', handler: updatePatientFromApi_ },
+    'reports.stats': { method: 'GET', handler: params => getReportStatistics(apiDateParam_(params, 'startDate', false), apiDateParam_(params, 'endDate', true), params.lang) }
+  }
+};
+
+// Set only while an API request is served; requireRole_ and getCurrentUserEmail_ check it
+let apiClient_ = null;
+
+function getApiTokens_() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty('API_TOKENS') || '{}');
+  } catch (error) {
+    console.error("Invalid API_TOKENS property:", error);
+    return {};
+  }
+}
+
+function authenticateApiClient_(token) {
+  const tokens = getApiTokens_();
+  const entry = token && Object.prototype.hasOwnProperty.call(tokens, token) ? tokens[token] : null;
+  if (!entry || !entry.client) throw appError_('error.apiUnauthorized');
+  return { client: String(entry.client), scopes: Array.isArray(entry.scopes) ? entry.scopes : [] };
+}
+
+function requireApiScope_(action) {
+  const granting = Object.keys(API_SCOPES).filter(scope => API_SCOPES[scope].indexOf(action) !== -1);
+  if (granting.some(scope => apiClient_.scopes.indexOf(scope) !== -1)) return;
+
+  logAccessDenied_(getCurrentUserEmail_(), 'api', action, granting.join(', ') || ACTION_ROLES[action]);
+  throw appError_('error.accessDenied');
+}
+
+function apiParam_(params, name) {
+  const value = params[name];
+  if (value === undefined || value === null || String(value).trim() === '') throw appError_('error.apiParameterMissing', { name });
+  return value;
+}
+
+function apiDate_(date, endOfDay) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (endOfDay) day.setHours(23, 59, 59, 999);
+  return day;
+}
+
+function apiDateParam_(params, name, endOfDay) {
+  const value = String(apiParam_(params, name));
+  // A bare date covers the whole day in the script timezone; full timestamps are used as given
+  const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = parts ? apiDate_(new Date(parts[1], parts[2] - 1, parts[3]), endOfDay) : new Date(value);
+  if (isNaN(date.getTime())) throw appError_('error.invalidDateRange');
+  return date;
+}
+
+function updatePatientFromApi_(params) {
+  requireRole_('savePatientData');
+  const changes = params.patient;
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) throw appError_('error.apiParameterMissing', { name: 'patient' });
+  apiParam_(changes, 'id');
+  apiParam_(changes, 'version');
+
+  // Integrations send only the fields they change; the rest keep their stored values.
+  // The version they read is required, so a change made in between is reported as a conflict.
+  const { row, cols } = readPatientRow_(changes.id, changes.uid);
+  const current = createPatientObject(row, cols);
+  const result = savePatientData(Object.assign({}, current, changes));
+
+  if (result.status === 'invalid') {
+    const lang = resolveLanguage_(params.lang);
+    const error = appError_('error.validationFailed');
+    error.details = result.errors.map(item => ({ field: item.field, message: messageText_(item.message, lang) }));
+    throw error;
+  }
+  if (result.status === 'alerts') {
+    // Integrations acknowledge by sending the alert ids back in patient.acknowledgedAlerts
+    const error = appError_('error.safetyAlertsUnacknowledged', { count: result.alerts.length });
+    error.details = result.alerts;
+    throw error;
+  }
+  if (result.status === 'conflict') {
+    const error = appError_('error.saveConflict', { version: result.version });
+    error.details = { version: result.version, patient: result.patient };
+    throw error;
+  }
+
+  const saved = readPatientRow_(current.id, current.uid);
+  return { version: result.version, patient: createPatientObject(saved.row, saved.cols) };
+}
+
+function apiErrorBody_(error, lang) {
+  const match = MESSAGE_REF_PATTERN.exec(error.message || '');
+  if (!match) {
+    // Uncoded errors come from Apps Script itself and may expose internals, so only the log keeps them
+    console.error("API request failed:", error);
+    return { code: 'error.internal', message: translate_(lang, 'error.internal') };
+  }
+
+  const body = { code: match[1], message: messageText_(error.message, lang) };
+  if (error.details) body.details = error.details;
+  return body;
+}
+
+function handleApiRequest_(e, method) {
+  const startTime = new Date();
+  const params = Object.assign({}, (e && e.parameter) || {});
+  let response;
+
+  try {
+    if (method === 'POST' && e && e.postData && e.postData.contents) {
+      let body;
+      try {
+        body = JSON.parse(e.postData.contents);
+      } catch (error) {
+        body = null;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) throw appError_('error.apiInvalidBody');
+      Object.assign(params, body);
+    }
+
+    // Only doPost and doGet with ?api= reach this point, and the token is the only credential they accept
+    apiClient_ = authenticateApiClient_(params.token);
+    const routes = Object.prototype.hasOwnProperty.call(API_ROUTES, params.api) ? API_ROUTES[params.api] : null;
+    if (!routes) throw appError_('error.apiUnknownVersion', { version: params.api || '' });
+    const route = Object.prototype.hasOwnProperty.call(routes, params.action) ? routes[params.action] : null;
+    if (!route) throw appError_('error.apiUnknownAction', { action: params.action || '' });
+    if (route.method !== method) throw appError_('error.apiMethodNotAllowed', { action: params.action, method });
+
+    response = { ok: true, version: params.api, action: params.action, data: route.handler(params) };
+  } catch (error) {
+    response = { ok: false, version: params.api || null, action: params.action || null, error: apiErrorBody_(error, resolveLanguage_(params.lang)) };
+  } finally {
+    logApiRequest_(params, method, response, new Date() - startTime);
+    apiClient_ = null;
+  }
+
+  return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+}
+
+function logApiRequest_(params, method, response, duration) {
+  try {
+    getProtectedSheet_(CONFIG.API_LOG_SHEET_NAME, API_LOG_HEADERS).appendRow([
+      new Date(), apiClient_ ? apiClient_.client : '', params.api || '', method, params.action || '',
+      response && response.ok ? 'ok' : 'error', duration, response && response.error ? response.error.code : ''
+    ]);
+  } catch (error) {
+    console.error("Error writing API log:", error);
+  }
+}
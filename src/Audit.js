@@ -0,0 +1,148 @@
+const AUDIT_HEADERS = ["Revision", "Timestamp", "User", "Patient ID", "Action", "Field", "Before", "After", "UID"];
+
+function getActiveUserEmail_() {
+  // Never the effective user: the web app runs as its owner, so that would give anonymous visitors the owner's role
+  return Session.getActiveUser().getEmail() || '';
+}
+
+function getCurrentUserEmail_() {
+  if (apiClient_) return `api:${apiClient_.client}`;
+  if (triggerHandler_) return `trigger:${triggerHandler_}`;
+  return getActiveUserEmail_() || 'necunoscut';
+}
+
+function getProtectedSheet_(name, headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(name);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(name);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  sheet.hideSheet();
+
+  const protection = sheet.protect().setDescription(`${name} - doar scriptul poate modifica`);
+  protection.removeEditors(protection.getEditors());
+  if (protection.canDomainEdit()) protection.setDomainEdit(false);
+  return sheet;
+}
+
+function ensureLogHeaders_(sheet, headers) {
+  // Logs created before a column was added get its header on the next write
+  if (sheet.getLastColumn() < headers.length) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  }
+  return sheet;
+}
+
+function recordPatientRevision_(patientId, fields, before, after, action = 'save', uid = '') {
+  const changes = fields
+    .map((field, i) => ({ field, before: String(before[i] ?? ''), after: String(after[i] ?? '') }))
+    .filter(change => change.before !== change.after);
+  if (changes.length === 0) return null;
+
+  const revision = Utilities.getUuid();
+  const timestamp = new Date();
+  const user = getCurrentUserEmail_();
+  const rows = changes.map(change => [revision, timestamp, user, patientId, action, change.field, change.before, change.after, uid || '']);
+
+  const sheet = ensureLogHeaders_(getProtectedSheet_(CONFIG.AUDIT_SHEET_NAME, AUDIT_HEADERS), AUDIT_HEADERS);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, AUDIT_HEADERS.length).setValues(rows);
+  return revision;
+}
+
+function getAuditRevisions_(patientId, uid) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.AUDIT_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const width = Math.min(sheet.getLastColumn(), AUDIT_HEADERS.length);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+  const revisions = [];
+  const byId = {};
+
+  // The uid follows the visit through renumbering; entries written before it existed fall back to the display ID
+  data.forEach(([revision, timestamp, user, id, action, field, before, after, rowUid]) => {
+    if (uid && rowUid ? rowUid !== uid : String(id) !== String(patientId)) return;
+    if (!byId[revision]) {
+      byId[revision] = {
+        revision,
+        timestamp: parseDateFromSheet(timestamp, true),
+        user,
+        action,
+        changes: []
+      };
+      revisions.push(byId[revision]);
+    }
+    byId[revision].changes.push({ field, before: String(before), after: String(after) });
+  });
+
+  return revisions;
+}
+
+function claimLegacyRevisions_(patientId, uid) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.AUDIT_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1 || !uid) return;
+
+  ensureLogHeaders_(sheet, AUDIT_HEADERS);
+  const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, AUDIT_HEADERS.length);
+  const rows = range.getValues();
+  const uidColumn = AUDIT_HEADERS.length - 1;
+  let changed = false;
+  rows.forEach(row => {
+    if (row[uidColumn] || String(row[3]) !== String(patientId)) return;
+    row[uidColumn] = uid;
+    changed = true;
+  });
+  if (changed) range.setValues(rows);
+}
+
+function getPatientHistory(patientId, uid) {
+  requireRole_('getPatientHistory');
+  return getAuditRevisions_(patientId, uid).reverse();
+}
+
+function restorePatientRevision(patientId, revision, uid, acknowledgedAlerts = []) {
+  requireRole_('restorePatientRevision');
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const revisions = getAuditRevisions_(patientId, uid);
+    const targetIndex = revisions.findIndex(r => r.revision === revision);
+    if (targetIndex === -1) throw appError_('error.revisionNotFound', { revision, id: patientId });
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    assertSheetLayout_(headers);
+    const cols = getColumnMappings(headers);
+    const sheetRow = findPatientRowByUid_(sheet, cols, patientId, uid);
+    const range = getEditableRange_(sheet, sheetRow, cols);
+    const fields = getEditableFields_().map(field => field.header);
+    const current = range.getDisplayValues()[0];
+
+    // Undo every later revision, newest first, to rebuild the row as it was right after the target
+    const restored = current.slice();
+    for (let i = revisions.length - 1; i > targetIndex; i--) {
+      revisions[i].changes.forEach(change => {
+        const col = fields.indexOf(change.field);
+        if (col !== -1) restored[col] = change.before;
+      });
+    }
+
+    // A restored prescription goes through the same safety check as a save
+    const row = sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0];
+    const alerts = findChangedPrescriptionAlerts_(readPatientFields_(row, cols), readEditedPatientFields_(row, cols, restored));
+    const unacknowledged = findUnacknowledgedAlerts_(alerts, acknowledgedAlerts);
+    if (unacknowledged.length > 0) return { status: 'alerts', alerts: unacknowledged };
+
+    range.setValues([restored]);
+    const versionCell = sheet.getRange(sheetRow, ensureColumn_(sheet, CONFIG.VERSION_COLUMN));
+    const version = (parseInt(versionCell.getValue(), 10) || 0) + 1;
+    versionCell.setValue(version);
+    const restoredRevision = recordPatientRevision_(patientId, fields, current, restored, `restore ${revision}`, uid);
+    logSafetyOverrides_({ id: patientId, uid }, alerts, version, restoredRevision);
+    indexSheetRows_(sheet, [sheetRow]);
+    return { status: 'restored', version };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,210 @@
+const CERTIFICATE_LOG_HEADERS = ["Number", "Year", "Issued At", "Issued By", "Patient ID", "UID", "Type", "File ID", "File URL", "Status"];
+
+const CERTIFICATE_TYPES = {
+  amAbsenta: {
+    label: 'certificate.amAbsenta',
+    exemption: true,
+    isIssued: patient => !!(patient.amAbsentaStart && patient.amAbsentaEnd),
+    period: patient => [patient.amAbsentaStart, patient.amAbsentaEnd]
+  },
+  amSport: {
+    label: 'certificate.amSport',
+    exemption: true,
+    isIssued: patient => !!(patient.amSportStart && patient.amSportEnd),
+    period: patient => [patient.amSportStart, patient.amSportEnd]
+  },
+  amAlt: {
+    label: 'certificate.amAlt',
+    isIssued: patient => !!patient.amAlt
+  },
+  amBursa: {
+    label: 'certificate.amBursa',
+    isIssued: patient => patient.amBursa
+  },
+  aeAviz: {
+    label: 'certificate.aeAviz',
+    isIssued: patient => patient.aeAviz
+  }
+};
+
+class CertificateSequence {
+  constructor(year) {
+    this.year = year;
+    this.key = `CERTIFICATE_LAST_NUMBER_${year}`;
+    this.lock = LockService.getScriptLock();
+    this.cache = CacheService.getScriptCache();
+    this.props = PropertiesService.getScriptProperties();
+  }
+
+  next() {
+    this.lock.waitLock(10000);
+    try {
+      const number = this._getLastNumber() + 1;
+      this._updateStorage(number);
+      return number;
+    } finally {
+      this.lock.releaseLock();
+    }
+  }
+
+  _getLastNumber() {
+    let lastNumber = parseInt(this.cache.get(this.key), 10);
+    if (isNaN(lastNumber)) lastNumber = parseInt(this.props.getProperty(this.key), 10);
+    if (isNaN(lastNumber)) lastNumber = this._getLastNumberFromLog();
+    return lastNumber;
+  }
+
+  _getLastNumberFromLog() {
+    // Storage was reset; continue after the highest number already issued this year
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.CERTIFICATES_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) return 0;
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues()
+      .filter(([, year]) => Number(year) === this.year)
+      .reduce((max, [number]) => Math.max(max, Number(number) || 0), 0);
+  }
+
+  _updateStorage(number) {
+    this.cache.put(this.key, number.toString(), CONFIG.CACHE_EXPIRATION);
+    this.props.setProperty(this.key, number.toString());
+  }
+}
+
+function getCertificateTemplates_() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty('CERTIFICATE_TEMPLATES') || '{}');
+  } catch (error) {
+    console.error("Invalid CERTIFICATE_TEMPLATES property:", error);
+    return {};
+  }
+}
+
+function getCertificatePlaceholders_(patient, number, issuedAt) {
+  // Period dates arrive as YYYY-MM-DD; reformat the text instead of parsing it, which could shift the day
+  const [periodStart, periodEnd] = [patient.startDate, patient.endDate].map(date => (date ? date.split('-').reverse().join('/') : ''));
+  return {
+    antet: PropertiesService.getScriptProperties().getProperty('CLINIC_HEADER') || '',
+    numar: `${number.number}/${number.year}`,
+    data: parseDateFromSheet(issuedAt, false),
+    medic: getCurrentUserEmail_(),
+    id: patient.id,
+    nume: patient.fullName,
+    varsta: patient.age,
+    sex: patient.gender,
+    adresa: patient.address,
+    facultate: patient.faculty,
+    an: patient.year,
+    diagnostic: patient.diagnosis,
+    coduri: describeCodes_(patient.codes1).split('\n').join(', '),
+    perioada_start: periodStart,
+    perioada_sfarsit: periodEnd,
+    scop: patient.amAlt
+  };
+}
+
+function fillCertificateTemplate_(templateId, fileName, placeholders) {
+  const copy = DriveApp.getFileById(templateId).makeCopy(`${fileName} (temporar)`);
+  try {
+    const doc = DocumentApp.openById(copy.getId());
+    const sections = [doc.getBody(), doc.getHeader(), doc.getFooter()].filter(Boolean);
+    Object.keys(placeholders).forEach(key => {
+      const value = placeholders[key] === null || placeholders[key] === undefined ? '' : String(placeholders[key]);
+      sections.forEach(section => section.replaceText(`\\{\\{${key}\\}\\}`, value));
+    });
+    doc.saveAndClose();
+    return copy.getAs(MimeType.PDF).setName(`${fileName}.pdf`);
+  } finally {
+    copy.setTrashed(true);
+  }
+}
+
+function saveCertificatePdf_(blob) {
+  const folderId = PropertiesService.getScriptProperties().getProperty('CERTIFICATES_FOLDER_ID');
+  return folderId ? DriveApp.getFolderById(folderId).createFile(blob) : DriveApp.createFile(blob);
+}
+
+function logCertificate_(number, issuedAt, patient, type, file, status) {
+  const sheet = getProtectedSheet_(CONFIG.CERTIFICATES_SHEET_NAME, CERTIFICATE_LOG_HEADERS);
+  ensureLogHeaders_(sheet, CERTIFICATE_LOG_HEADERS).appendRow([
+    number.number, number.year, issuedAt, getCurrentUserEmail_(), patient.id, patient.uid,
+    type, file ? file.getId() : '', file ? file.getUrl() : '', status
+  ]);
+}
+
+function generateCertificate(patientId, type, uid, lang = getUserLanguage_()) {
+  requireRole_('generateCertificate');
+  const certificateType = CERTIFICATE_TYPES[type];
+  if (!certificateType) throw appError_('error.unknownCertificateType', { type });
+
+  const templateId = getCertificateTemplates_()[type];
+  if (!templateId) throw appError_('error.certificateTemplateMissing', { label: messageRef_(certificateType.label) });
+
+  let patient = null;
+  let number = null;
+  const issuedAt = new Date();
+  try {
+    const { row, cols } = readPatientRow_(patientId, uid);
+    patient = createPatientObject(row, cols);
+    if (!certificateType.isIssued(patient)) {
+      throw appError_('error.certificateSectionMissing', { label: messageRef_(certificateType.label) });
+    }
+
+    const [startDate, endDate] = certificateType.period ? certificateType.period(patient) : [];
+    number = { number: new CertificateSequence(issuedAt.getFullYear()).next(), year: issuedAt.getFullYear() };
+    const fileName = toFileName_(`${translate_(lang, certificateType.label)} ${number.number}-${number.year} ${patient.fullName}`);
+
+    const pdf = fillCertificateTemplate_(templateId, fileName,
+      getCertificatePlaceholders_(Object.assign({}, patient, { startDate, endDate }), number, issuedAt));
+    const file = saveCertificatePdf_(pdf);
+
+    logCertificate_(number, issuedAt, patient, type, file, 'issued');
+
+    return Object.assign(createDownload_(fileName, 'pdf', pdf.getBytes()), {
+      number: `${number.number}/${number.year}`,
+      url: file.getUrl()
+    });
+  } catch (error) {
+    // A number already taken from the sequence is logged as failed, so the gap in the numbering is accounted for
+    if (number) {
+      try {
+        logCertificate_(number, issuedAt, patient, type, null, `failed: ${error.message}`);
+      } catch (logError) {
+        console.error("Could not log the failed certificate number:", logError);
+      }
+    }
+    throw appError_('error.certificateFailed', { reason: error.message });
+  }
+}
+
+function isIssuedCertificate_(row) {
+  // Rows logged before the Status column existed were only written for issued certificates
+  return !row[9] || row[9] === 'issued';
+}
+
+function getPatientCertificates(patientId, uid) {
+  requireRole_('getPatientCertificates');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.CERTIFICATES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CERTIFICATE_LOG_HEADERS.length).getValues()
+    .filter(row => (uid && row[5] ? row[5] === uid : String(row[4]) === String(patientId)))
+    .filter(isIssuedCertificate_)
+    .map(row => ({
+      number: `${row[0]}/${row[1]}`,
+      issuedAt: parseDateFromSheet(row[2], true),
+      issuedBy: row[3],
+      type: row[6],
+      label: CERTIFICATE_TYPES[row[6]] ? CERTIFICATE_TYPES[row[6]].label : row[6],
+      url: row[8]
+    }))
+    .reverse();
+}
+
+function getCertificateTypes() {
+  requireRole_('getPatientCertificates');
+  const templates = getCertificateTemplates_();
+  return Object.keys(CERTIFICATE_TYPES).map(type => ({
+    type,
+    label: CERTIFICATE_TYPES[type].label,
+    configured: !!templates[type]
+  }));
+}
@@ -9,7 +9,43 @@ const CONFIG = {
   CACHE_EXPIRATION: 21600,
   CACHE_PREFIX: "ID_",
   PROPS_PREFIX: "ID_",
-  TIMESTAMP_SEARCH_BATCH: 100
+  TIMESTAMP_SEARCH_BATCH: 100,
+  AUDIT_SHEET_NAME: "Audit Log",
+  ACCESS_LOG_SHEET_NAME: "Access Log",
+  API_LOG_SHEET_NAME: "API Log",
+  TRASH_SHEET_NAME: "Trash",
+  TRASH_RETENTION_DAYS: 30,
+  VERSION_COLUMN: "version",
+  UID_COLUMN: "uid",
+  STATUS_COLUMN: "status",
+  EMAIL_CONSENT_COLUMN: "emailConsent",
+  EMAIL_CONSENT_ADDRESS_COLUMN: "emailConsentAddress",
+  DUPLICATE_OF_COLUMN: "duplicateOf",
+  DUPLICATE_OF_UID_COLUMN: "duplicateOfUid",
+  DUPLICATE_STATUS_COLUMN: "duplicateStatus",
+  DUPLICATE_WINDOW_MINUTES: 30,
+  DUPLICATE_SCAN_ROWS: 50,
+  ID_FIXES_SHEET_NAME: "ID Fixes",
+  CERTIFICATES_SHEET_NAME: "Certificates",
+  IDENTITY_LINKS_SHEET_NAME: "Identity Links",
+  PRIVACY_LOG_SHEET_NAME: "Privacy Log",
+  PATIENT_EMAILS_SHEET_NAME: "Patient Emails",
+  CODES_SHEET_NAME: "Disease Codes",
+  CODES_CACHE_EXPIRATION: 600,
+  SAFETY_RULES_SHEET_NAME: "Safety Rules",
+  SAFETY_RULES_CACHE_EXPIRATION: 600,
+  SAFETY_OVERRIDES_SHEET_NAME: "Safety Overrides",
+  REPORT_TOP_CODES: 5,
+  REPORT_DAILY_TREND_MAX_DAYS: 62,
+  REPORT_SCHEDULE_HOUR: 6,
+  REPORT_RUNS_SHEET_NAME: "Report Runs",
+  EXPORT_ARTIFACT_MAX_AGE_MINUTES: 60,
+  REPORT_FILE_RETENTION_DAYS: 30,
+  PAGE_SIZE: 25,
+  MAX_PAGE_SIZE: 200,
+  SEARCH_INDEX_EXPIRATION: 21600,
+  SEARCH_INDEX_CHUNK_SIZE: 90000,
+  STATISTICS_CACHE_EXPIRATION: 3600
 };
 
 function getValue(row, colIndex, defaultValue = '') {
@@ -111,28 +147,11 @@ class IDManager {
     return null;
   }
 
-  nightlyFixAll() {
-    try {
-      this.documentLock.waitLock(30000);
-      const lastRow = this.sheet.getLastRow();
-      let expectedId = CONFIG.START_ID;
-
-      for (let row = 2; row <= lastRow; row += CONFIG.BATCH_SIZE) {
-        const batchEnd = Math.min(row + CONFIG.BATCH_SIZE - 1, lastRow);
-        const range = this.sheet.getRange(row, this.idColumn, batchEnd - row + 1, 1);
-        const values = this._generateFixedIds(range, expectedId);
-        range.setValues(values);
-        expectedId = values[values.length - 1][0] + CONFIG.ID_INCREMENT;
-        Utilities.sleep(1000);
-      }
-
-      if (lastRow >= 2) {
-        const lastId = this._strictParseInt(this.sheet.getRange(lastRow, this.idColumn).getValue());
-        if (!isNaN(lastId)) this._updateIdStorage(lastId);
-      }
-    } finally {
-      this.documentLock.releaseLock();
-    }
+  refreshIdStorage() {
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow < 2) return;
+    const lastId = this._strictParseInt(this.sheet.getRange(lastRow, this.idColumn).getValue());
+    if (!isNaN(lastId)) this._updateIdStorage(lastId);
   }
 
   _isValidSubmission(e) {
@@ -161,6 +180,7 @@ class IDManager {
 
   _updatePatientId(row, newId) {
     this.sheet.getRange(row, this.idColumn).setValue(newId);
+    this.sheet.getRange(row, ensureColumn_(this.sheet, CONFIG.UID_COLUMN)).setValue(Utilities.getUuid());
     this._updateIdStorage(newId);
   }
 
@@ -210,14 +230,23 @@ class IDManager {
 }
 
 function onFormSubmit(e) {
-  return new IDManager().onFormSubmit(e);
+  const manager = new IDManager();
+  const newId = manager.onFormSubmit(e);
+  if (newId !== null) {
+    flagDuplicateSubmission_(manager.sheet, e.range.getRow());
+    indexSheetRows_(manager.sheet, [e.range.getRow()]);
+  }
+  return newId;
 }
 
-function nightlyFixAll() {
-  new IDManager().nightlyFixAll();
+function nightlyFixAll(e) {
+  requireRole_('nightlyFixAll', e);
+  // Dry run only: problems are mailed to admins and fixed after approval through applyIdFixes
+  runIdIntegrityCheck_(true);
 }
 
 function resetIDStorage() {
+  requireRole_('resetIDStorage');
   try {
     const manager = new IDManager();
     const success = manager._resetStorage();
@@ -234,25 +263,59 @@ function resetIDStorage() {
   }
 }
 
-function doGet() {
+function accessDeniedPage_() {
+  const lang = getUserLanguage_();
+  return HtmlService.createHtmlOutput(`<h3>${translate_(lang, 'access.deniedTitle')}</h3><p>${translate_(lang, 'access.deniedBody')}</p>`)
+    .setTitle('UMF Registru Medical');
+}
+
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.api) return handleApiRequest_(e, 'GET');
   try {
+    const email = getActiveUserEmail_();
+    const role = getUserRole_(email);
+    if (!role) {
+      logAccessDenied_(email || 'necunoscut', null, 'doGet', 'viewer');
+      return accessDeniedPage_();
+    }
+    if (params.page === 'stats') {
+      if (!hasRole_(role, ACTION_ROLES.getReportStatistics)) {
+        logAccessDenied_(email, role, 'doGet:stats', ACTION_ROLES.getReportStatistics);
+        return accessDeniedPage_();
+      }
+      return HtmlService.createHtmlOutputFromFile('Stats').setTitle('UMF Registru Medical - Statistici');
+    }
     return HtmlService.createHtmlOutputFromFile('Index').setTitle('UMF Registru Medical');
   } catch (e) {
     return ContentService.createTextOutput(e.message).setMimeType(ContentService.MimeType.TEXT);
   }
 }
 
-function deletePatientData(password) {
+function doPost(e) {
+  return handleApiRequest_(e, 'POST');
+}
+
+function assertDeletePassword_(password) {
   const correctPassword = PropertiesService.getScriptProperties().getProperty('DELETE_PASSWORD');
-  if (!correctPassword) throw new Error("Parola nu este setată");
-  if (password !== correctPassword) throw new Error("Parolă incorectă");
+  if (!correctPassword) throw appError_('error.passwordNotSet');
+  if (password !== correctPassword) throw appError_('error.wrongPassword');
+}
+
+function deletePatientData(password) {
+  requireRole_('deletePatientData');
+  assertDeletePassword_(password);
 
   const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
-  if (!sheet) throw new Error("Foaia nu există");
+  if (!sheet) throw appError_('error.sheetMissing');
 
   const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) return;
+  if (lastRow <= 1) return null;
+
+  const backupName = backupSpreadsheet_();
   sheet.deleteRows(2, lastRow - 1);
+  invalidateSearchIndex_();
+  return backupName;
 }
 function getColumnMappings(headers) {
   if (!Array.isArray(headers)) {
@@ -261,174 +324,187 @@ function getColumnMappings(headers) {
 
   const mappings = {};
 
-  const headerDefinitions = [
-    { key: 'id', displayName: 'ID' },
-    { key: 'timestamp', displayName: 'Timestamp' },
-    { key: 'fullName', displayName: 'Full Name' },
-    { key: 'age', displayName: 'Age' },
-    { key: 'gender', displayName: 'Gender' },
-    { key: 'lmp', displayName: 'LMP' },
-    { key: 'email', displayName: 'Email' },
-    { key: 'phone', displayName: 'Phone' },
-    { key: 'address', displayName: 'Address' },
-    { key: 'faculty', displayName: 'Faculty' },
-    { key: 'year', displayName: 'Year' },
-    { key: 'language', displayName: 'Language' },
-    { key: 'symptoms', displayName: 'Symptoms / Visit Reason' },
-    { key: 'treatment', displayName: 'Current Treatment' },
-    { key: 'chronic', displayName: 'Chronic Diseases' },
-    { key: 'allergies', displayName: 'Allergies' },
-    { key: 'diagnosis', displayName: 'diagnosis' },
-    { key: 'codes1', displayName: 'codes1' },
-    { key: 'rpIntegrala', displayName: 'rpIntegrala' },
-    { key: 'rpGratuita', displayName: 'rpGratuita' },
-    { key: 'btCas1', displayName: 'btCas1' },
-    { key: 'btCas2', displayName: 'btCas2' },
-    { key: 'btCas3', displayName: 'btCas3' },
-    { key: 'btSimplu', displayName: 'btSimplu' },
-    { key: 'amAbsenta', displayName: 'amAbsenta' },
-    { key: 'amSport', displayName: 'amSport' },
-    { key: 'amAlt', displayName: 'amAlt' },
-    { key: 'amBursa', displayName: 'amBursa' },
-    { key: 'aeAviz', displayName: 'aeAviz' },
-    { key: 'ebInaltime', displayName: 'ebInaltime' },
-    { key: 'ebGreutate', displayName: 'ebGreutate' },
-    { key: 'ebIMC', displayName: 'ebIMC' },
-    { key: 'codes2', displayName: 'codes2' }
-  ];
-
-  headerDefinitions.forEach(({ key, displayName }) => {
-    const index = headers.indexOf(displayName);
+  PATIENT_FIELDS.forEach(({ key, header }) => {
+    const index = headers.indexOf(header);
     if (index === -1) {
-      console.warn(`Column "${displayName}" not found in headers`);
+      console.warn(`Column "${header}" not found in headers`);
     }
     mappings[key] = index;
   });
+  mappings.version = headers.indexOf(CONFIG.VERSION_COLUMN);
+  mappings.uid = headers.indexOf(CONFIG.UID_COLUMN);
+  mappings.status = headers.indexOf(CONFIG.STATUS_COLUMN);
+  mappings.emailConsent = headers.indexOf(CONFIG.EMAIL_CONSENT_COLUMN);
+  mappings.emailConsentAddress = headers.indexOf(CONFIG.EMAIL_CONSENT_ADDRESS_COLUMN);
+  mappings.duplicateOf = headers.indexOf(CONFIG.DUPLICATE_OF_COLUMN);
+  mappings.duplicateOfUid = headers.indexOf(CONFIG.DUPLICATE_OF_UID_COLUMN);
+  mappings.duplicateStatus = headers.indexOf(CONFIG.DUPLICATE_STATUS_COLUMN);
 
   return mappings;
 }
 
 function createPatientObject(row, cols) {
+  const patient = readPatientFields_(row, cols);
+  patient.version = parseInt(getValue(row, cols.version), 10) || 0;
+  patient.uid = getValue(row, cols.uid);
+  patient.statusOverride = getValue(row, cols.status);
+  patient.status = derivePatientStatus_(patient);
+  patient.emailConsent = cols.emailConsent === -1 || !row[cols.emailConsent] ? '' : parseDateFromSheet(row[cols.emailConsent], true);
+  patient.emailConsentAddress = getValue(row, cols.emailConsentAddress);
+  patient.duplicateOf = getValue(row, cols.duplicateOf);
+  patient.duplicateStatus = getValue(row, cols.duplicateStatus);
+  return patient;
+}
+async function loadTodaysPatients() {
+  requireRole_('loadTodaysPatients');
 
-  const patient = {
-    id: getValue(row, cols.id),
-    timestamp: parseDateFromSheet(getValue(row, cols.timestamp), true),
-    fullName: getValue(row, cols.fullName),
-    age: getValue(row, cols.age),
-    gender: getValue(row, cols.gender),
-    lmp: parseDateFromSheet(getValue(row, cols.lmp), false),
-    email: getValue(row, cols.email),
-    phone: getValue(row, cols.phone),
-    address: getValue(row, cols.address),
-    faculty: getValue(row, cols.faculty),
-    year: getValue(row, cols.year),
-    language: getValue(row, cols.language),
-    symptoms: getValue(row, cols.symptoms),
-    treatment: getValue(row, cols.treatment),
-    chronic: getValue(row, cols.chronic),
-    allergies: getValue(row, cols.allergies),
-    diagnosis: getValue(row, cols.diagnosis),
-    codes1: getValue(row, cols.codes1),
-    rpIntegrala: getValue(row, cols.rpIntegrala),
-    rpGratuita: getValue(row, cols.rpGratuita),
-    btCas1: getValue(row, cols.btCas1),
-    specialitate1: '',
-    tip1: '',
-    btCas2: getValue(row, cols.btCas2),
-    specialitate2: '',
-    tip2: '',
-    btCas3: getValue(row, cols.btCas3),
-    specialitate3: '',
-    tip3: '',
-    btSimplu: getValue(row, cols.btSimplu),
-    amAbsentaStart: parseDateRange(getValue(row, cols.amAbsenta), 'start'),
-    amAbsentaEnd: parseDateRange(getValue(row, cols.amAbsenta), 'end'),
-    amSportStart: parseDateRange(getValue(row, cols.amSport), 'start'),
-    amSportEnd: parseDateRange(getValue(row, cols.amSport), 'end'),
-    amAlt: getValue(row, cols.amAlt),
-    amBursa: String(getValue(row, cols.amBursa)).toUpperCase() === 'Y',
-    aeAviz: String(getValue(row, cols.aeAviz)).toUpperCase() === 'Y',
-    ebInaltime: getValue(row, cols.ebInaltime),
-    ebGreutate: getValue(row, cols.ebGreutate),
-    ebIMC: getValue(row, cols.ebIMC),
-    codes2: getValue(row, cols.codes2)
-  };
+  // Use script timezone for today's date
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+  const todayEnd = new Date(todayStart);
+  todayEnd.setHours(23, 59, 59, 999);
 
-  [patient.btCas1, patient.specialitate1, patient.tip1] = parseBtCas(patient.btCas1);
-  [patient.btCas2, patient.specialitate2, patient.tip2] = parseBtCas(patient.btCas2);
-  [patient.btCas3, patient.specialitate3, patient.tip3] = parseBtCas(patient.btCas3);
+  return loadPatientsPage_(todayStart, todayEnd, 0, Infinity).patients;
+}
 
-  return patient;
+function loadPatients(startDate, endDate, cursor, pageSize) {
+  requireRole_('loadPatients');
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || CONFIG.PAGE_SIZE, 1), CONFIG.MAX_PAGE_SIZE);
+  return loadPatientsPage_(new Date(startDate), new Date(endDate), parseInt(cursor, 10) || 0, size);
 }
-async function loadTodaysPatients() {
+
+function loadPatientsPage_(startDate, endDate, cursor, pageSize) {
+  const emptyPage = { patients: [], total: 0, cursor: 0, nextCursor: null };
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
-  if (!sheet || sheet.getLastRow() <= 1) return [];
+  if (!sheet || sheet.getLastRow() <= 1) return emptyPage;
 
   const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
   const cols = getColumnMappings(headers);
-  if (cols.timestamp === -1) return [];
-
-  // Use script timezone for today's date
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
+  if (cols.timestamp === -1) return emptyPage;
 
-  const todaysPatients = [];
+  // One read of the timestamp column; index 0 is the header row, as findStartRow/findEndRow expect
   const lastRow = sheet.getLastRow();
+  const timestamps = sheet.getRange(1, cols.timestamp + 1, lastRow, 1).getValues();
+  const startRow = findStartRow(timestamps, 0, startDate);
+  const endRow = findEndRow(timestamps, 0, endDate);
+  if (startRow > endRow) return emptyPage;
+
+  const total = endRow - startRow + 1;
+  const offset = Math.max(cursor, 0);
+  const firstRow = startRow + offset;
+  if (firstRow > endRow) return { patients: [], total, cursor: offset, nextCursor: null };
+
+  const count = Math.min(pageSize, endRow - firstRow + 1);
+  const rows = sheet.getRange(firstRow + 1, 1, count, headers.length).getValues();
+
+  return {
+    patients: rows.map(row => createPatientObject(row, cols)),
+    total,
+    cursor: offset,
+    nextCursor: offset + count < total ? offset + count : null
+  };
+}
+function savePatientData(patientData) {
+  requireRole_('savePatientData');
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAME);
 
-  // Start from the last row and go backwards
-  for (let rowNum = lastRow; rowNum >= 2; rowNum--) {
-    const row = sheet.getRange(rowNum, 1, 1, headers.length).getValues()[0];
-    const timestampStr = getValue(row, cols.timestamp);
-    const timestamp = timestampStr ? new Date(timestampStr) : null;
+  const validation = validatePatientData_(patientData);
+  if (validation.errors.length > 0) return { status: 'invalid', errors: validation.errors };
+  patientData = validation.data;
 
-    if (!timestamp) continue; // Skip invalid timestamps
+  const values = writeEditableValues_(patientData);
 
-    // Stop and return reversed array when we encounter a date before today
-    if (timestamp < todayStart) {
-      return todaysPatients.reverse();
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const versionColumn = ensureColumn_(sheet, CONFIG.VERSION_COLUMN);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    assertSheetLayout_(headers);
+    const cols = getColumnMappings(headers);
+    const sheetRow = findPatientRowByUid_(sheet, cols, patientData.id, patientData.uid);
+    const currentRow = sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0];
+    const currentVersion = parseInt(currentRow[versionColumn - 1], 10) || 0;
+
+    if (patientData.version !== undefined && (parseInt(patientData.version, 10) || 0) !== currentVersion) {
+      return {
+        status: 'conflict',
+        version: currentVersion,
+        patient: createPatientObject(currentRow, cols)
+      };
     }
 
-    // If we're here, it's today's date
-    const patient = createPatientObject(row, cols);
-    todaysPatients.push(patient);
+    const serialErrors = findSerialConflicts_(sheet, cols, sheetRow, currentRow, patientData);
+    if (serialErrors.length > 0) return { status: 'invalid', errors: serialErrors };
+
+    // Allergies and chronic conditions are the patient's own form answers, so they are read from the sheet
+    const stored = createPatientObject(currentRow, cols);
+    const alerts = findChangedPrescriptionAlerts_(stored, Object.assign({}, patientData, { allergies: stored.allergies, chronic: stored.chronic }));
+    const unacknowledged = findUnacknowledgedAlerts_(alerts, patientData.acknowledgedAlerts);
+    if (unacknowledged.length > 0) return { status: 'alerts', alerts: unacknowledged };
+
+    const range = getEditableRange_(sheet, sheetRow, cols);
+    const fields = getEditableFields_().map(field => field.header);
+    const before = range.getDisplayValues()[0];
+
+    range.setValues([values]);
+    sheet.getRange(sheetRow, versionColumn).setValue(currentVersion + 1);
+    const revision = recordPatientRevision_(patientData.id, fields, before, values, 'save', getValue(currentRow, cols.uid));
+    logSafetyOverrides_(patientData, alerts, currentVersion + 1, revision);
+    indexSheetRows_(sheet, [sheetRow]);
+    return { status: 'saved', version: currentVersion + 1 };
+  } finally {
+    lock.releaseLock();
   }
+}
 
-  // If we reach the beginning without finding older dates, return reversed
-  return todaysPatients.reverse();
+function ensureColumn_(sheet, header) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const index = headers.indexOf(header);
+  if (index !== -1) return index + 1;
+
+  const column = headers.length + 1;
+  sheet.getRange(1, column).setValue(header);
+  return column;
 }
-function savePatientData(patientData) {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAME);
 
-  const idRange = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1);
-  const ids = idRange.getValues().flat();
-  const rowIndex = binarySearch(ids, patientData.id);
+function findPatientRow(sheet, patientId) {
+  const ids = getPatientIds_(sheet);
+  const rowIndex = binarySearch(ids, patientId);
 
   if (rowIndex === -1) {
-    throw new Error(`Pacientul cu ID ${patientData.id} nu a fost găsit în baza de date.`);
+    throw appError_('error.patientNotFound', { id: patientId });
   }
 
-  const sheetRow = rowIndex + 2;
-
-  sheet.getRange(sheetRow, 17, 1, 17).setValues([[
-    patientData.diagnosis || '',
-    patientData.codes1 || '',
-    patientData.rpIntegrala || '',
-    patientData.rpGratuita || '',
-    formatBtCas(patientData.btCas1, patientData.specialitate1, patientData.tip1),
-    formatBtCas(patientData.btCas2, patientData.specialitate2, patientData.tip2),
-    formatBtCas(patientData.btCas3, patientData.specialitate3, patientData.tip3),
-    patientData.btSimplu || '',
-    createDateRange(patientData.amAbsentaStart, patientData.amAbsentaEnd),
-    createDateRange(patientData.amSportStart, patientData.amSportEnd),
-    patientData.amAlt || '',
-    patientData.amBursa ? 'Y' : '',
-    patientData.aeAviz ? 'Y' : '',
-    patientData.ebInaltime || '',
-    patientData.ebGreutate || '',
-    patientData.ebIMC || '',
-    patientData.codes2 || ''
-  ]]);
+  return rowIndex + 2;
+}
+
+function findPatientRowByUid_(sheet, cols, patientId, uid) {
+  const ids = getPatientIds_(sheet);
+  if (!uid || cols.uid === -1 || ids.length === 0) return findPatientRow(sheet, patientId);
+
+  const uids = sheet.getRange(2, cols.uid + 1, ids.length, 1).getValues().flat();
+  const rowIndex = binarySearch(ids, patientId);
+  if (rowIndex !== -1 && uids[rowIndex] === uid) return rowIndex + 2;
+
+  // The display ID no longer points at this row (it was renumbered or duplicated); follow the uid instead
+  const uidIndex = uids.indexOf(uid);
+  if (uidIndex === -1) throw appError_('error.patientNotFound', { id: patientId });
+  return uidIndex + 2;
+}
+
+function readPatientRow_(patientId, uid) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const cols = getColumnMappings(headers);
+  const row = sheet.getRange(findPatientRowByUid_(sheet, cols, patientId, uid), 1, 1, headers.length).getValues()[0];
+  return { row, cols };
+}
+
+function getPatientRecord(patientId, uid) {
+  requireRole_('getPatientRecord');
+  const { row, cols } = readPatientRow_(patientId, uid);
+  return createPatientObject(row, cols);
 }
 
 function binarySearch(ids, targetId) {
@@ -450,45 +526,6 @@ function binarySearch(ids, targetId) {
 
   return -1;
 }
-function searchPatients(searchName, searchEmail, searchPhone) {
-  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
-  if (!sheet || sheet.getLastRow() <= 1) return [];
-
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const cols = getColumnMappings(headers);
-  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
-
-  const hasName = searchName && cols.fullName >= 0;
-  const hasEmail = searchEmail && cols.email >= 0;
-  const hasPhone = searchPhone && cols.phone >= 0;
-
-  const nameTerms = hasName ? searchName.toString().trim().toLowerCase().split(' ') : [];
-  const emailTerm = hasEmail ? searchEmail.toString().trim().toLowerCase() : null;
-  const phoneTerm = hasPhone ? searchPhone.toString().trim() : null;
-
-  return data.filter(row => {
-    if (hasEmail) {
-      const email = row[cols.email]?.toString().trim().toLowerCase() || '';
-      if (email.indexOf(emailTerm) === -1) return false;
-    }
-
-    if (hasPhone) {
-      const phone = row[cols.phone]?.toString().trim() || '';
-      if (phone.indexOf(phoneTerm) === -1) return false;
-    }
-
-    if (hasName) {
-      const fullName = row[cols.fullName]?.toString().trim().toLowerCase() || '';
-      for (const term of nameTerms) {
-        if (fullName.indexOf(term) === -1) return false;
-      }
-    }
-
-    return true;
-  })
-    .map(row => createPatientObject(row, cols))
-    .reverse();
-}
 function findStartRow(data, timestampCol, startDate) {
   let low = 1;
   let high = data.length - 1;
@@ -527,14 +564,26 @@ function findEndRow(data, timestampCol, endDate) {
   return result;
 }
 
-function exportPatientData(startDate, endDate) {
+function describePrescriptions(row, cols, catalogue, lang = DEFAULT_LANGUAGE) {
+  const ebCodes = catalogue ? splitCodes_(row[cols.codes2]).map(code => describeCode_(code, catalogue)).join(', ') : row[cols.codes2];
+  return PATIENT_FIELDS
+    .filter(field => field.prescription && row[cols[field.key]])
+    .map(field => {
+      const label = translate_(lang, field.prescription);
+      return field.type === 'flag' ? label : `${label}: ${row[cols[field.key]]}`;
+    })
+    .concat(row[cols.ebInaltime] ? [translate_(lang, 'prescription.eb', {
+      height: row[cols.ebInaltime], weight: row[cols.ebGreutate], bmi: row[cols.ebIMC], codes: ebCodes
+    })] : []);
+}
+
+function exportPatientData(startDate, endDate, format = 'csv', lang = getUserLanguage_()) {
+  requireRole_('exportPatientData');
   try {
+    if (!EXPORT_FORMATS[format]) throw appError_('error.unknownFormat', { format });
+
     const exportName = `Export_${parseDateFromSheet(startDate, true)}_${parseDateFromSheet(endDate, true)}`;
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-
-    const existingSheet = ss.getSheetByName(exportName);
-    if (existingSheet) ss.deleteSheet(existingSheet);
-    const sheet = ss.insertSheet(exportName);
     const CM_TO_PIXELS = 37.8;
 
     const sourceSheet = ss.getSheetByName(CONFIG.SHEET_NAME);
@@ -548,212 +597,172 @@ function exportPatientData(startDate, endDate) {
     const endRow = findEndRow(allData, cols.timestamp, endDateTime);
 
     if (startRow > endRow || endRow < 1) {
-      sheet.appendRow(["No data found for the selected date range."]);
-      return exportName;
+      throw appError_('error.noPatientsInRange');
     }
 
-    const filteredData = allData.slice(startRow, endRow + 1);
-
-    const exportConfig = [
-      { header: 'Nr. crt.', width: 1.5 * CM_TO_PIXELS, colKey: 'id' },
-      {
-        header: 'Ziua',
-        width: 3 * CM_TO_PIXELS,
-        transform: (row) => row[cols.timestamp] ? parseDateFromSheet(row[cols.timestamp], false) : ''
-      },
-      { header: 'Numele și prenumele', width: 4 * CM_TO_PIXELS, colKey: 'fullName' },
-      { header: 'Vârsta', width: 1.5 * CM_TO_PIXELS, colKey: 'age' },
-      { header: 'Sexul', width: 1.5 * CM_TO_PIXELS, colKey: 'gender' },
-      { header: 'Domiciliul', width: 8 * CM_TO_PIXELS, colKey: 'address' },
-      {
-        header: 'Ocupație',
-        width: 3 * CM_TO_PIXELS,
-        transform: (row) => row[cols.faculty] ? `${row[cols.faculty]} ${row[cols.year]} ${row[cols.language]}` : ''
-      },
-      { header: 'Simptome', width: 5.5 * CM_TO_PIXELS, colKey: 'symptoms' },
-      { header: 'Diagnostic', width: 12 * CM_TO_PIXELS, colKey: 'diagnosis' },
-      { header: 'Cod', width: 4 * CM_TO_PIXELS, colKey: 'codes1' },
-      {
-        header: 'Prescripții',
-        width: 12 * CM_TO_PIXELS,
-        transform: (row) => [
-          row[cols.rpIntegrala] && `RP Integrală: ${row[cols.rpIntegrala]}`,
-          row[cols.rpGratuita] && `RP Gratuită: ${row[cols.rpGratuita]}`,
-          row[cols.btCas1] && `BT CAS1: ${row[cols.btCas1]}`,
-          row[cols.btCas2] && `BT CAS2: ${row[cols.btCas2]}`,
-          row[cols.btCas3] && `BT CAS3: ${row[cols.btCas3]}`,
-          row[cols.btSimplu] && `BT Simplu: ${row[cols.btSimplu]}`,
-          row[cols.amAbsenta] && `AM Absență: ${row[cols.amAbsenta]}`,
-          row[cols.amSport] && `AM Sport: ${row[cols.amSport]}`,
-          row[cols.amAlt] && `AM Alt: ${row[cols.amAlt]}`,
-          row[cols.amBursa] && 'AM Bursă',
-          row[cols.aeAviz] && 'AE Aviz',
-          row[cols.ebInaltime] && `EB: ${row[cols.ebInaltime]} cm | ${row[cols.ebGreutate]} kg | ${row[cols.ebIMC]} imc | Cod: ${row[cols.codes2]}`
-        ]
-          .filter(Boolean)
-          .join('\n')
-      }
-    ];
+    // Rows merged into another visit are left out, as in the report
+    const filteredData = allData.slice(startRow, endRow + 1).filter(row => !isConfirmedDuplicate_(row, cols));
+    if (filteredData.length === 0) throw appError_('error.noPatientsInRange');
+    const catalogue = getDiseaseCatalogue_();
+
+    const exportConfig = EXPORT_COLUMNS.map(column => ({
+      header: translate_(lang, column.header),
+      width: column.width * CM_TO_PIXELS,
+      colKey: column.field,
+      transform: column.value && (row => column.value(row, cols, catalogue, lang))
+    }));
 
     const headers = exportConfig.map(c => c.header);
     const processedData = filteredData.map(rawRow => exportConfig.map(config =>
       config.transform ? config.transform(rawRow, cols) : (rawRow[cols[config.colKey]] || '')
     ));
 
-    sheet.getRange(1, 1, 1, headers.length)
-      .setValues([headers])
-      .setFontWeight("bold")
-      .setHorizontalAlignment("center");
-
-    const BATCH_SIZE = CONFIG.BATCH_SIZE;
-    for (let i = 0; i < processedData.length; i += BATCH_SIZE) {
-      const batch = processedData.slice(i, i + BATCH_SIZE);
-      sheet.getRange(i + 2, 1, batch.length, headers.length).setValues(batch);
-    }
+    if (format === 'csv') return createCsvDownload_(exportName, [headers].concat(processedData));
+    return exportViaTempSpreadsheet_(exportName, exportConfig, headers, processedData, format);
 
-    sheet.getDataRange()
-      .setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP)
-      .setHorizontalAlignment("center")
-      .setVerticalAlignment("middle");
+  } catch (error) {
+    throw appError_('error.exportFailed', { reason: error.message });
+  }
+}
+function reportPatientData(startDate, endDate, lang = getUserLanguage_()) {
+  requireRole_('reportPatientData');
+  try {
+    const recipient = Session.getActiveUser().getEmail();
+    const { report, subject, htmlBody } = buildPatientReport_(startDate, endDate, false, lang, [recipient]);
 
-    exportConfig.forEach((col, i) => sheet.setColumnWidth(i + 1, col.width));
+    MailApp.sendEmail({
+      to: recipient,
+      subject: subject,
+      htmlBody: htmlBody,
+      noReply: true
+    });
 
-    sheet.setFrozenRows(1);
-    return exportName;
+    return report;
 
   } catch (error) {
-    throw new Error(`Export eșuat: ${error.message}`);
+    throw appError_('error.reportFailed', { reason: error.message });
   }
 }
-function reportPatientData(startDate, endDate) {
-  try {
-    const startTime = new Date();
-    const userEmail = Session.getActiveUser().getEmail();
-
-    const report = {
-      codeStats: {
-        totalAppearances: 0,
-        codeCounts: new Array(1000).fill(0),
-      },
-      ebCodCounts: new Array(1000).fill(0),
-      rpGratuita: 0,
-      rpIntegrala: 0,
-      btCas: 0,
-      btSimplu: 0,
-      amScutireAbsenta: 0,
-      amScutireSport: 0,
-      amAltScop: 0,
-      amBursaMedicala: 0,
-      aeAvizEpidemiologic: 0,
-      ebTotal: 0,
-      totalPatients: 0 // This will be set correctly below
-    };
 
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sourceSheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+function collectPatientReport_(startDate, endDate, allowEmpty = false, lang = DEFAULT_LANGUAGE) {
+  const report = {
+    codeStats: {
+      totalAppearances: 0,
+      codeCounts: new Array(1000).fill(0),
+    },
+    ebCodCounts: new Array(1000).fill(0),
+    prescriptions: {},
+    hours: new Array(24).fill(0),
+    bmi: {},
+    totalPatients: 0 // This will be set correctly below
+  };
 
-    const allHeaders = sourceSheet.getRange(1, 1, 1, sourceSheet.getLastColumn()).getValues()[0];
-    const cols = getColumnMappings(allHeaders);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = ss.getSheetByName(CONFIG.SHEET_NAME);
 
-    const lastRow = sourceSheet.getLastRow();
-    if (lastRow <= 1) throw new Error("Nu există date despre pacienți disponibile");
+  const allHeaders = sourceSheet.getRange(1, 1, 1, sourceSheet.getLastColumn()).getValues()[0];
+  const cols = getColumnMappings(allHeaders);
 
-    const rawData = sourceSheet.getRange(2, 1, lastRow - 1, sourceSheet.getLastColumn()).getValues();
+  const lastRow = sourceSheet.getLastRow();
+  if (lastRow <= 1 && !allowEmpty) throw appError_('error.noPatientData');
 
-    const startDateTime = new Date(startDate);
-    const endDateTime = new Date(endDate);
-
-    const startRow = findStartRow(rawData, cols.timestamp, startDateTime);
-    const endRow = findEndRow(rawData, cols.timestamp, endDateTime);
+  const rawData = lastRow > 1 ? sourceSheet.getRange(2, 1, lastRow - 1, sourceSheet.getLastColumn()).getValues() : [];
 
-    const filteredData = (startRow <= endRow) ? rawData.slice(startRow, endRow + 1) : [];
+  const startDateTime = new Date(startDate);
+  const endDateTime = new Date(endDate);
 
-    if (filteredData.length === 0) {
-      throw new Error("Nu s-au găsit pacienți în intervalul de date specificat.");
-    }
+  const startRow = findStartRow(rawData, cols.timestamp, startDateTime);
+  const endRow = findEndRow(rawData, cols.timestamp, endDateTime);
 
-    // CORRECTED: Use filteredData.length instead of rawData.length
-    report.totalPatients = filteredData.length;
-
-    filteredData.forEach(row => {
-      if (row[cols.codes1]) {
-        row[cols.codes1].toString().split(/\s+/).forEach(rawCode => {
-          const code = parseInt(rawCode, 10);
-          if (!isNaN(code) && code >= 0 && code < 1000) {
-            report.codeStats.totalAppearances++;
-            report.codeStats.codeCounts[code]++;
-          }
-        });
-      }
+  // Confirmed duplicate submissions stay in the sheet but are not counted twice
+  const countedData = rawData.filter(row => !isConfirmedDuplicate_(row, cols));
+  const filteredData = (startRow <= endRow) ? rawData.slice(startRow, endRow + 1).filter(row => !isConfirmedDuplicate_(row, cols)) : [];
 
-      if (row[cols.codes2]) {
-        row[cols.codes2].toString().split(/\s+/).forEach(rawEbCod => {
-          const ebCod = parseInt(rawEbCod, 10);
-          if (!isNaN(ebCod)) report.ebCodCounts[ebCod]++;
-        });
-      }
+  if (filteredData.length === 0 && !allowEmpty) {
+    throw appError_('error.noPatientsInRange');
+  }
 
-      row[cols.rpGratuita] && report.rpGratuita++;
-      row[cols.rpIntegrala] && report.rpIntegrala++;
-      row[cols.btCas1] && report.btCas++;
-      row[cols.btCas2] && report.btCas++;
-      row[cols.btCas3] && report.btCas++;
-      row[cols.btSimplu] && report.btSimplu++;
-      row[cols.amAbsenta] && report.amScutireAbsenta++;
-      row[cols.amSport] && report.amScutireSport++;
-      row[cols.amAlt] && report.amAltScop++;
-      row[cols.amBursa] && report.amBursaMedicala++;
-      row[cols.aeAviz] && report.aeAvizEpidemiologic++;
-      row[cols.ebInaltime] && report.ebTotal++;
-    });
+  // CORRECTED: Use filteredData.length instead of rawData.length
+  report.totalPatients = filteredData.length;
 
-    const uniqueCodes = report.codeStats.codeCounts.filter(count => count > 0).length;
+  const counterFields = PATIENT_FIELDS.filter(field => field.counter);
+  counterFields.forEach(field => { report.prescriptions[field.counter] = 0; });
+  BMI_BANDS.forEach(band => { report.bmi[band.key] = 0; });
 
-    const ebCodesList = [];
-    for (let code = 0; code < 1000; code++) {
-      if (report.ebCodCounts[code] > 0) ebCodesList.push({ code, count: report.ebCodCounts[code] });
+  filteredData.forEach(row => {
+    if (row[cols.codes1]) {
+      row[cols.codes1].toString().split(/\s+/).forEach(rawCode => {
+        const code = parseInt(rawCode, 10);
+        if (!isNaN(code) && code >= 0 && code < 1000) {
+          report.codeStats.totalAppearances++;
+          report.codeStats.codeCounts[code]++;
+        }
+      });
     }
 
-    const duration = (new Date() - startTime) / 1000;
-
-    const htmlBody = `
-      <h2>Raport Registru Medical</h2>
-      <p><strong>Număr total de pacienți în interval:</strong> ${report.totalPatients}</p>
-      <h3>Coduri de boală:</h3>
-      <ul>
-        <li>Coduri unice: ${uniqueCodes}</li>
-        <li>Total apariții coduri: ${report.codeStats.totalAppearances}</li>
-        ${report.codeStats.codeCounts
-        .map((count, code) => count > 0 ? `<li>${code}: ${count}</li>` : '')
-        .join('')}
-      </ul>
-      <h3>EB Coduri de boală:</h3>
-      <ul>${ebCodesList.length > 0 ? ebCodesList.map(item => `<li>${item.code}: ${item.count}</li>`).join('') : '<li>Niciun cod EB utilizat</li>'}</ul>
-      <h3>Tipuri de prescripții:</h3>
-      <ul>
-        <li>RP gratuite: ${report.rpGratuita}</li>
-        <li>RP integrale: ${report.rpIntegrala}</li>
-        <li>BT CAS (total 1-3): ${report.btCas}</li>
-        <li>BT simple: ${report.btSimplu}</li>
-        <li>AM scutiri absențe: ${report.amScutireAbsenta}</li>
-        <li>AM scutiri sport: ${report.amScutireSport}</li>
-        <li>AM alte scopuri: ${report.amAltScop}</li>
-        <li>AM burse medicale: ${report.amBursaMedicala}</li>
-        <li>AE avize epidemiologice: ${report.aeAvizEpidemiologic}</li>
-        <li>EB examene bilanț: ${report.ebTotal}</li>
-      </ul>
-      <p>Generat în ${duration} secunde</p>`;
+    if (row[cols.codes2]) {
+      row[cols.codes2].toString().split(/\s+/).forEach(rawEbCod => {
+        const ebCod = parseInt(rawEbCod, 10);
+        if (!isNaN(ebCod)) report.ebCodCounts[ebCod]++;
+      });
+    }
 
-    MailApp.sendEmail({
-      to: userEmail,
-      subject: `Raportări UMF Registru Medical (${parseDateFromSheet(startDate, true)} - ${parseDateFromSheet(endDate, true)})`,
-      htmlBody: htmlBody,
-      noReply: true
+    counterFields.forEach(field => {
+      row[cols[field.key]] && report.prescriptions[field.counter]++;
     });
 
-    return report;
+    const visitTime = new Date(row[cols.timestamp]);
+    if (!isNaN(visitTime.getTime())) report.hours[visitTime.getHours()]++;
 
-  } catch (error) {
-    throw new Error("Raport eșuat: " + error.message);
+    const bmi = parseFloat(getValue(row, cols.ebIMC).replace(',', '.'));
+    if (bmi > 0) report.bmi[BMI_BANDS.find(band => bmi < band.max).key]++;
+  });
+
+  report.uniqueCodes = report.codeStats.codeCounts.filter(count => count > 0).length;
+
+  report.ebCodes = [];
+  for (let code = 0; code < 1000; code++) {
+    if (report.ebCodCounts[code] > 0) report.ebCodes.push({ code, count: report.ebCodCounts[code] });
   }
-}
\ No newline at end of file
+
+  report.breakdowns = buildReportBreakdowns_(filteredData, cols, startDateTime, endDateTime, lang);
+  report.referrals = summarizeReferrals_(buildReferralRegistry_(countedData, cols)
+    .filter(entry => entry.time >= startDateTime.getTime() && entry.time <= endDateTime.getTime()));
+  return report;
+}
+
+function buildPatientReport_(startDate, endDate, allowEmpty = false, lang = DEFAULT_LANGUAGE, viewers = []) {
+  const startTime = new Date();
+  const report = collectPatientReport_(startDate, endDate, allowEmpty, lang);
+  const { uniqueCodes, ebCodes: ebCodesList } = report;
+
+  const catalogue = getDiseaseCatalogue_();
+  report.reportSheet = writeReportSheet_(startDate, endDate, report.breakdowns, catalogue, lang, viewers);
+  const duration = (new Date() - startTime) / 1000;
+
+  const text = (key, params) => translate_(lang, key, params);
+  const htmlBody = `
+    <h2>${text('report.title')}</h2>
+    <p><strong>${text('report.totalPatients')}</strong> ${report.totalPatients}</p>
+    <h3>${text('report.codes')}</h3>
+    <ul>
+      <li>${text('report.uniqueCodes', { count: uniqueCodes })}</li>
+      <li>${text('report.totalCodes', { count: report.codeStats.totalAppearances })}</li>
+      ${report.codeStats.codeCounts
+      .map((count, code) => count > 0 ? `<li>${describeCode_(code, catalogue)}: ${count}</li>` : '')
+      .join('')}
+    </ul>
+    <h3>${text('report.ebCodes')}</h3>
+    <ul>${ebCodesList.length > 0 ? ebCodesList.map(item => `<li>${describeCode_(item.code, catalogue)}: ${item.count}</li>`).join('') : `<li>${text('report.noEbCodes')}</li>`}</ul>
+    <h3>${text('report.prescriptions')}</h3>
+    <ul>
+      ${Object.keys(report.prescriptions).map(counter => `<li>${text(counter)}: ${report.prescriptions[counter]}</li>`).join('')}
+    </ul>
+    ${renderReferralsHtml_(report.referrals, lang)}
+    ${renderBreakdownsHtml_(report.breakdowns, catalogue, lang)}
+    <p>${text('report.sheetNote', { sheet: `<a href="${escapeHtml_(report.reportSheet.url)}">${escapeHtml_(report.reportSheet.name)}</a>` })}</p>
+    <p>${text('report.duration', { seconds: duration })}</p>`;
+
+  const subject = text('report.subject', { start: parseDateFromSheet(startDate, true), end: parseDateFromSheet(endDate, true) });
+  return { report, subject, htmlBody };
+}
@@ -0,0 +1,65 @@
+const DISEASE_CODE_HEADERS = ["Code", "Description", "ICD-10"];
+const DISEASE_CODES_CACHE_KEY = "DISEASE_CODES";
+
+function getDiseaseCatalogue_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(DISEASE_CODES_CACHE_KEY);
+  if (cached) return JSON.parse(cached);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CONFIG.CODES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.CODES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, DISEASE_CODE_HEADERS.length).setValues([DISEASE_CODE_HEADERS]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const catalogue = {};
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, DISEASE_CODE_HEADERS.length).getValues()
+      .forEach(([code, description, icd10]) => {
+        const key = String(code).trim();
+        if (key) catalogue[key] = { description: String(description).trim(), icd10: String(icd10).trim() };
+      });
+  }
+
+  try {
+    cache.put(DISEASE_CODES_CACHE_KEY, JSON.stringify(catalogue), CONFIG.CODES_CACHE_EXPIRATION);
+  } catch (error) {
+    // A full ICD-10 catalogue can exceed the 100 KB limit of a cache entry; it is then read from the sheet each time
+    console.warn("Disease codes not cached:", error);
+  }
+  return catalogue;
+}
+
+function splitCodes_(value) {
+  return (value || '').toString().split(/\s+/).filter(Boolean);
+}
+
+function findUnknownCodes_(value, catalogue = getDiseaseCatalogue_()) {
+  // An empty catalogue means it has not been set up yet, so nothing can be rejected
+  if (Object.keys(catalogue).length === 0) return [];
+  return splitCodes_(value).filter(code => !catalogue[code]);
+}
+
+function describeCode_(code, catalogue = getDiseaseCatalogue_()) {
+  const entry = catalogue[String(code)];
+  if (!entry) return String(code);
+  return entry.icd10 ? `${code} - ${entry.description} (${entry.icd10})` : `${code} - ${entry.description}`;
+}
+
+function describeCodes_(value, catalogue = getDiseaseCatalogue_()) {
+  return splitCodes_(value).map(code => describeCode_(code, catalogue)).join('\n');
+}
+
+function getDiseaseCodes() {
+  requireRole_('getDiseaseCodes');
+  const catalogue = getDiseaseCatalogue_();
+  return Object.keys(catalogue).map(code => ({ code, ...catalogue[code] }));
+}
+
+function refreshDiseaseCodes() {
+  requireRole_('refreshDiseaseCodes');
+  CacheService.getScriptCache().remove(DISEASE_CODES_CACHE_KEY);
+  return getDiseaseCodes().length;
+}
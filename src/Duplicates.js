@@ -0,0 +1,147 @@
+const DUPLICATE_DECISIONS = {
+  merge: 'confirmed',
+  dismiss: 'dismissed'
+};
+
+function getDuplicateWindowMinutes_() {
+  const minutes = parseInt(PropertiesService.getScriptProperties().getProperty('DUPLICATE_WINDOW_MINUTES'), 10);
+  return isNaN(minutes) || minutes < 1 ? CONFIG.DUPLICATE_WINDOW_MINUTES : minutes;
+}
+
+function isSimilarName_(a, b) {
+  const [shorter, longer] = [a, b].map(name => name.split(' ').filter(Boolean)).sort((x, y) => x.length - y.length);
+  return shorter.length > 0 && shorter.every(term => scoreNameTerm_(term, longer) > 0);
+}
+
+function isNearDuplicate_(a, b) {
+  const sameContact = (a.email && a.email === b.email) || (a.phone && a.phone === b.phone);
+  return !!sameContact && isSimilarName_(a.name, b.name);
+}
+
+function isConfirmedDuplicate_(row, cols) {
+  return getValue(row, cols.duplicateStatus) === DUPLICATE_DECISIONS.merge;
+}
+
+function flagDuplicateSubmission_(sheet, sheetRow) {
+  try {
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cols = getColumnMappings(headers);
+    const row = sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0];
+    const time = new Date(row[cols.timestamp]).getTime();
+    if (isNaN(time) || sheetRow <= 2) return null;
+
+    // Submissions arrive in order, so earlier copies can only be in the rows just above
+    const firstRow = Math.max(2, sheetRow - CONFIG.DUPLICATE_SCAN_ROWS);
+    const windowMs = getDuplicateWindowMinutes_() * 60 * 1000;
+    const keys = getIdentityKeys_(row, cols);
+    const earlier = sheet.getRange(firstRow, 1, sheetRow - firstRow, headers.length).getValues().reverse();
+    const match = earlier.find(candidate => {
+      const candidateTime = new Date(candidate[cols.timestamp]).getTime();
+      return !isNaN(candidateTime) && candidateTime <= time && time - candidateTime <= windowMs &&
+        isNearDuplicate_(keys, getIdentityKeys_(candidate, cols));
+    });
+    if (!match) return null;
+
+    // A third copy points at the first submission rather than at the second
+    const pending = getValue(match, cols.duplicateOf) && getValue(match, cols.duplicateStatus) !== DUPLICATE_DECISIONS.dismiss;
+    const originalId = pending ? getValue(match, cols.duplicateOf) : getValue(match, cols.id);
+    const originalUid = pending ? getValue(match, cols.duplicateOfUid) : getValue(match, cols.uid);
+    sheet.getRange(sheetRow, ensureColumn_(sheet, CONFIG.DUPLICATE_OF_COLUMN)).setValue(originalId);
+    sheet.getRange(sheetRow, ensureColumn_(sheet, CONFIG.DUPLICATE_OF_UID_COLUMN)).setValue(originalUid);
+    return originalId;
+  } catch (error) {
+    console.error("Error checking for a duplicate submission:", error);
+    return null;
+  }
+}
+
+function getDuplicateComparison(patientId, uid) {
+  requireRole_('getDuplicateComparison');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const { row, cols } = readPatientRow_(patientId, uid);
+  const patient = createPatientObject(row, cols);
+  if (!patient.duplicateOf) throw appError_('error.notDuplicate', { id: patientId });
+
+  const originalRow = sheet.getRange(findOriginalRow_(sheet, cols, row), 1, 1, row.length).getValues()[0];
+  return { patient, original: createPatientObject(originalRow, cols) };
+}
+
+function findOriginalRow_(sheet, cols, duplicateRow) {
+  // The display ID stored with the flag can be renumbered later, so the original is followed by its uid
+  return findPatientRowByUid_(sheet, cols, getValue(duplicateRow, cols.duplicateOf), getValue(duplicateRow, cols.duplicateOfUid));
+}
+
+function mergeDuplicateInto_(sheet, headers, cols, duplicateRow, acknowledgedAlerts) {
+  const sheetRow = findOriginalRow_(sheet, cols, duplicateRow);
+  const originalRow = sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0];
+  const range = getEditableRange_(sheet, sheetRow, cols);
+  const before = range.getDisplayValues()[0];
+  const first = cols[getEditableFields_()[0].key];
+  const isBlank = value => value === '' || value === null || value === false;
+
+  // Only fields still empty on the original are taken from the copy; nothing already entered is overwritten
+  let changed = false;
+  const merged = range.getValues()[0].map((value, i) => {
+    if (!isBlank(value) || isBlank(duplicateRow[first + i])) return value;
+    changed = true;
+    return duplicateRow[first + i];
+  });
+
+  if (changed) {
+    // A prescription taken from the copy goes through the same safety check as a save
+    const original = { id: getValue(originalRow, cols.id), uid: getValue(originalRow, cols.uid) };
+    const alerts = findChangedPrescriptionAlerts_(readPatientFields_(originalRow, cols), readEditedPatientFields_(originalRow, cols, merged));
+    const unacknowledged = findUnacknowledgedAlerts_(alerts, acknowledgedAlerts);
+    if (unacknowledged.length > 0) return { status: 'alerts', alerts: unacknowledged };
+
+    const versionColumn = ensureColumn_(sheet, CONFIG.VERSION_COLUMN);
+    const versionCell = sheet.getRange(sheetRow, versionColumn);
+    const version = (parseInt(versionCell.getValue(), 10) || 0) + 1;
+    range.setValues([merged]);
+    versionCell.setValue(version);
+    const revision = recordPatientRevision_(original.id, getEditableFields_().map(field => field.header), before, range.getDisplayValues()[0], 'merge', original.uid);
+    logSafetyOverrides_(original, alerts, version, revision);
+    indexSheetRows_(sheet, [sheetRow]);
+  }
+  return { status: 'merged', patient: createPatientObject(sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0], cols) };
+}
+
+function resolveDuplicateSubmission(patientId, uid, decision, acknowledgedAlerts = []) {
+  requireRole_('resolveDuplicateSubmission');
+  const status = DUPLICATE_DECISIONS[decision];
+  if (!status) throw appError_('error.invalidDecision', { decision });
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const statusColumn = ensureColumn_(sheet, CONFIG.DUPLICATE_STATUS_COLUMN);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    assertSheetLayout_(headers);
+    const cols = getColumnMappings(headers);
+    const sheetRow = findPatientRowByUid_(sheet, cols, patientId, uid);
+    const row = sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0];
+    if (!getValue(row, cols.duplicateOf)) throw appError_('error.notDuplicate', { id: patientId });
+
+    let original = null;
+    if (decision === 'merge') {
+      const merge = mergeDuplicateInto_(sheet, headers, cols, row, acknowledgedAlerts);
+      if (merge.status === 'alerts') return merge;
+      original = merge.patient;
+    }
+
+    // Like the status, the decision does not bump the copy's version
+    const cell = sheet.getRange(sheetRow, statusColumn);
+    const before = cell.getValue();
+    cell.setValue(status);
+    recordPatientRevision_(patientId, [CONFIG.DUPLICATE_STATUS_COLUMN], [before], [status], 'duplicate', getValue(row, cols.uid));
+    invalidateStatistics_();
+    return {
+      status: 'resolved',
+      patient: createPatientObject(sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0], cols),
+      original
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
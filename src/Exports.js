@@ -0,0 +1,150 @@
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' }
+};
+
+// Downloads that are not offered as register exports
+const DOWNLOAD_TYPES = Object.assign({ json: { extension: 'json', mimeType: 'application/json' } }, EXPORT_FORMATS);
+
+const EXPORT_ARTIFACTS_PROPERTY = 'EXPORT_TEMP_FILES';
+
+function toFileName_(name) {
+  return name.replace(/[\\/:*?"<>|]/g, '-').replace(/\s+/g, '_');
+}
+
+function neutralizeFormula_(value) {
+  // Text typed by patients must never run as a formula in Sheets or Excel
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function buildCsv_(rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(neutralizeFormula_(value));
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  // The BOM makes Excel open the file as UTF-8 so diacritics survive
+  return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\r\n');
+}
+
+function createDownload_(baseName, format, bytes) {
+  const { extension, mimeType } = DOWNLOAD_TYPES[format];
+  return {
+    fileName: `${toFileName_(baseName)}.${extension}`,
+    mimeType,
+    content: Utilities.base64Encode(bytes)
+  };
+}
+
+function createCsvDownload_(baseName, rows) {
+  return createDownload_(baseName, 'csv', Utilities.newBlob(buildCsv_(rows), 'text/csv').getBytes());
+}
+
+function exportViaTempSpreadsheet_(baseName, exportConfig, headers, rows, format) {
+  const temp = SpreadsheetApp.create(`${baseName} (temporar)`);
+  registerExportArtifact_(temp.getId());
+
+  try {
+    const sheet = temp.getSheets()[0];
+    sheet.getRange(1, 1, 1, headers.length)
+      .setValues([headers])
+      .setFontWeight("bold")
+      .setHorizontalAlignment("center");
+
+    for (let i = 0; i < rows.length; i += CONFIG.BATCH_SIZE) {
+      const batch = rows.slice(i, i + CONFIG.BATCH_SIZE);
+      sheet.getRange(i + 2, 1, batch.length, headers.length).setValues(batch.map(row => row.map(neutralizeFormula_)));
+    }
+
+    sheet.getDataRange()
+      .setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP)
+      .setHorizontalAlignment("center")
+      .setVerticalAlignment("middle");
+    exportConfig.forEach((col, i) => sheet.setColumnWidth(i + 1, col.width));
+    sheet.setFrozenRows(1);
+    SpreadsheetApp.flush();
+
+    const params = format === 'pdf'
+      ? `format=pdf&size=A4&portrait=false&fitw=true&gridlines=true&printtitle=false&sheetnames=false&pagenum=CENTER&fzr=true&gid=${sheet.getSheetId()}`
+      : 'format=xlsx';
+    const response = UrlFetchApp.fetch(`https://docs.google.com/spreadsheets/d/${temp.getId()}/export?${params}`, {
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      throw appError_('error.conversionFailed', { format: format.toUpperCase(), status: response.getResponseCode() });
+    }
+
+    return createDownload_(baseName, format, response.getBlob().getBytes());
+  } finally {
+    try {
+      DriveApp.getFileById(temp.getId()).setTrashed(true);
+      releaseExportArtifact_(temp.getId());
+    } catch (error) {
+      console.error("Error removing temporary export file:", error);
+    }
+  }
+}
+
+function getExportArtifacts_(property = EXPORT_ARTIFACTS_PROPERTY) {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(property) || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+function registerExportArtifact_(fileId, property = EXPORT_ARTIFACTS_PROPERTY) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const artifacts = getExportArtifacts_(property);
+    artifacts[fileId] = Date.now();
+    PropertiesService.getScriptProperties().setProperty(property, JSON.stringify(artifacts));
+  } finally {
+    lock.releaseLock();
+  }
+  ensureExportCleanupTrigger_();
+}
+
+function releaseExportArtifact_(fileId, property = EXPORT_ARTIFACTS_PROPERTY) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const artifacts = getExportArtifacts_(property);
+    delete artifacts[fileId];
+    PropertiesService.getScriptProperties().setProperty(property, JSON.stringify(artifacts));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function ensureExportCleanupTrigger_() {
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'cleanupExportArtifacts');
+  if (!exists) {
+    ScriptApp.newTrigger('cleanupExportArtifacts').timeBased().everyHours(1).create();
+  }
+}
+
+function trashExpiredArtifacts_(property, cutoff) {
+  Object.entries(getExportArtifacts_(property)).forEach(([fileId, createdAt]) => {
+    if (createdAt > cutoff) return;
+    try {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    } catch (error) {
+      console.warn(`File ${fileId} could not be removed:`, error);
+    }
+    releaseExportArtifact_(fileId, property);
+  });
+}
+
+function cleanupExportArtifacts(e) {
+  requireRole_('cleanupExportArtifacts', e);
+
+  // Only files recorded when they were created are removed, never anything matched by name
+
+  // Temporary spreadsheets left behind by exports that timed out
+  trashExpiredArtifacts_(EXPORT_ARTIFACTS_PROPERTY, Date.now() - CONFIG.EXPORT_ARTIFACT_MAX_AGE_MINUTES * 60 * 1000);
+  // Report spreadsheets carry patient data, so they only stay in Drive for a limited time
+  trashExpiredArtifacts_(REPORT_FILES_PROPERTY, Date.now() - CONFIG.REPORT_FILE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
@@ -0,0 +1,82 @@
+const SUPPORTED_LANGUAGES = { ro: 'Română', en: 'English', fr: 'Français' };
+
+const DEFAULT_LANGUAGE = 'ro';
+
+// Coded messages look like "⟦error.code|{params}⟧ Romanian text", so the client can
+// translate them while logs and sheets still read naturally
+const MESSAGE_REF_PATTERN = /⟦([\w.]+)\|(.*?)⟧ ?/;
+
+function resolveLanguage_(lang) {
+  return SUPPORTED_LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+function translate_(lang, key, params = {}) {
+  const template = (MESSAGES[resolveLanguage_(lang)] || {})[key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return Array.isArray(value) ? value.map(item => messageText_(item, lang)).join(', ') : messageText_(value, lang);
+  });
+}
+
+function messageRef_(code, params = {}) {
+  // Nested messages keep their own markers escaped inside the JSON, so the first closing bracket always ends this one
+  const json = JSON.stringify(params).replace(/⟦/g, '\\u27e6').replace(/⟧/g, '\\u27e7');
+  return `⟦${code}|${json}⟧`;
+}
+
+function codedMessage_(code, params = {}) {
+  return `${messageRef_(code, params)} ${translate_(DEFAULT_LANGUAGE, code, params)}`;
+}
+
+function appError_(code, params = {}) {
+  return new Error(codedMessage_(code, params));
+}
+
+function messageText_(message, lang) {
+  const text = message === null || message === undefined ? '' : String(message);
+  const match = MESSAGE_REF_PATTERN.exec(text);
+  if (!match) return text;
+
+  let params;
+  try {
+    params = JSON.parse(match[2]);
+  } catch (error) {
+    return text;
+  }
+  return text.slice(0, match.index) + translate_(lang, match[1], params);
+}
+
+function getLanguageMap_() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty('USER_LANGUAGES') || '{}');
+  } catch (error) {
+    console.error("Invalid USER_LANGUAGES property:", error);
+    return {};
+  }
+}
+
+function getUserLanguage_(email = getCurrentUserEmail_()) {
+  return resolveLanguage_(getLanguageMap_()[(email || '').toLowerCase()]);
+}
+
+function getClientMessages_(lang) {
+  return Object.assign({}, MESSAGES[DEFAULT_LANGUAGE], MESSAGES[resolveLanguage_(lang)]);
+}
+
+function setUserLanguage(lang) {
+  requireRole_('setUserLanguage');
+  if (!SUPPORTED_LANGUAGES[lang]) throw appError_('error.unknownLanguage', { language: lang });
+
+  // Stored per account in Script Properties: the web app may run as its owner, which would share User Properties
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const languages = getLanguageMap_();
+    languages[getCurrentUserEmail_().toLowerCase()] = lang;
+    PropertiesService.getScriptProperties().setProperty('USER_LANGUAGES', JSON.stringify(languages));
+  } finally {
+    lock.releaseLock();
+  }
+  return { language: lang, messages: getClientMessages_(lang) };
+}
@@ -0,0 +1,126 @@
+const IDENTITY_LINK_HEADERS = ["Patient ID", "Other ID", "Decision", "User", "Timestamp", "Patient UID", "Other UID"];
+
+function normalizeEmail_(email) {
+  return (email || '').toString().trim().toLowerCase();
+}
+
+function normalizePhone_(phone) {
+  const digits = (phone || '').toString().replace(/\D/g, '');
+  // 0740..., +40740... and 0040740... all end in the same 9-digit subscriber number
+  return digits.length >= 9 ? digits.slice(-9) : digits;
+}
+
+function foldDiacritics_(text) {
+  return (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function normalizeName_(name) {
+  return foldDiacritics_(name).split(/[^a-z]+/).filter(Boolean).sort().join(' ');
+}
+
+function getIdentityKeys_(row, cols) {
+  return {
+    email: normalizeEmail_(row[cols.email]),
+    phone: normalizePhone_(row[cols.phone]),
+    name: normalizeName_(row[cols.fullName])
+  };
+}
+
+function matchIdentity_(a, b) {
+  const matchedBy = [];
+  if (a.email && a.email === b.email) matchedBy.push('email');
+  if (a.phone && a.phone === b.phone) matchedBy.push('phone');
+  // Students can share a name, so a name only counts next to a matching email or phone
+  if (matchedBy.length > 0 && a.name && a.name === b.name) matchedBy.push('name');
+  return matchedBy;
+}
+
+function visitKey_(row, cols) {
+  // The uid survives renumbering; the display ID only stands in for rows that never got one
+  return getValue(row, cols.uid) || String(row[cols.id]);
+}
+
+function findVisitRow_(data, cols, patientId, uid) {
+  const row = uid && cols.uid !== -1
+    ? data.find(candidate => getValue(candidate, cols.uid) === uid)
+    : data.find(candidate => String(candidate[cols.id]) === String(patientId));
+  if (!row) throw appError_('error.patientNotFound', { id: patientId });
+  return row;
+}
+
+function identityPairKey_(a, b) {
+  return [String(a), String(b)].sort().join('|');
+}
+
+function getIdentityLinks_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.IDENTITY_LINKS_SHEET_NAME);
+  const links = {};
+  if (!sheet || sheet.getLastRow() <= 1) return links;
+
+  // Rows are appended chronologically, so the latest decision for a pair wins. Links recorded before
+  // visits had a uid are keyed by display ID and only apply while no uid-keyed decision exists.
+  const width = Math.min(sheet.getLastColumn(), IDENTITY_LINK_HEADERS.length);
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues().forEach(([patientId, otherId, decision, , , patientUid, otherUid]) => {
+    const key = patientUid && otherUid ? identityPairKey_(patientUid, otherUid) : `id:${identityPairKey_(patientId, otherId)}`;
+    links[key] = decision;
+  });
+  return links;
+}
+
+function findLinkedVisits_(data, cols, patientRow) {
+  const keys = getIdentityKeys_(patientRow, cols);
+  const patientKey = visitKey_(patientRow, cols);
+  const links = getIdentityLinks_();
+
+  return data
+    .filter(row => row !== patientRow)
+    .map(row => {
+      const pair = identityPairKey_(patientKey, visitKey_(row, cols));
+      const decision = links[pair] || links[`id:${identityPairKey_(patientRow[cols.id], row[cols.id])}`];
+      const matchedBy = matchIdentity_(keys, getIdentityKeys_(row, cols));
+      return { row, matchedBy, decision };
+    })
+    .filter(({ matchedBy, decision }) => decision === 'same' || (decision !== 'different' && matchedBy.length > 0));
+}
+
+function getPatientTimeline(patientId, uid, lang = getUserLanguage_()) {
+  requireRole_('getPatientTimeline');
+  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const cols = getColumnMappings(headers);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+
+  return findLinkedVisits_(data, cols, findVisitRow_(data, cols, patientId, uid))
+    .map(({ row, matchedBy, decision }) => {
+      const patient = createPatientObject(row, cols);
+      return {
+        id: patient.id,
+        uid: patient.uid,
+        timestamp: patient.timestamp,
+        time: new Date(row[cols.timestamp]).getTime() || 0,
+        diagnosis: patient.diagnosis,
+        codes1: patient.codes1,
+        codes2: patient.codes2,
+        allergies: patient.allergies,
+        chronic: patient.chronic,
+        prescriptions: describePrescriptions(row, cols, null, lang),
+        ebInaltime: patient.ebInaltime,
+        ebGreutate: patient.ebGreutate,
+        ebIMC: patient.ebIMC,
+        matchedBy,
+        confirmed: decision === 'same'
+      };
+    })
+    .sort((a, b) => b.time - a.time);
+}
+
+function setIdentityLink(patientId, otherId, decision, uid, otherUid) {
+  requireRole_('setIdentityLink');
+  if (decision !== 'same' && decision !== 'different') throw appError_('error.invalidDecision', { decision });
+  if (uid && otherUid ? uid === otherUid : String(patientId) === String(otherId)) throw appError_('error.selfLink');
+
+  const sheet = ensureLogHeaders_(getProtectedSheet_(CONFIG.IDENTITY_LINKS_SHEET_NAME, IDENTITY_LINK_HEADERS), IDENTITY_LINK_HEADERS);
+  sheet.appendRow([patientId, otherId, decision, getCurrentUserEmail_(), new Date(), uid || '', otherUid || '']);
+}
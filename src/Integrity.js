@@ -0,0 +1,293 @@
+const ID_FIX_HEADERS = ["Proposal", "Created At", "Row", "UID", "Issue", "Details", "Current ID", "Proposed ID", "Status"];
+
+const ID_ISSUE_LABELS = {
+  blank: 'idIssue.blank',
+  duplicate: 'idIssue.duplicate',
+  order: 'idIssue.order',
+  gap: 'idIssue.gap',
+  timestamp: 'idIssue.timestamp'
+};
+
+function parseIdValue_(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  const num = Number(value);
+  return Number.isSafeInteger(num) ? num : NaN;
+}
+
+function backfillUids_(sheet) {
+  const uidColumn = ensureColumn_(sheet, CONFIG.UID_COLUMN);
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return uidColumn;
+
+  // Only blank cells are filled; an existing uid is never rewritten
+  const range = sheet.getRange(2, uidColumn, lastRow - 1, 1);
+  const uids = range.getValues();
+  let changed = false;
+  uids.forEach(cell => {
+    if (!cell[0]) {
+      cell[0] = Utilities.getUuid();
+      changed = true;
+    }
+  });
+  if (changed) range.setValues(uids);
+  return uidColumn;
+}
+
+function findIdIssues_(rows) {
+  const issues = [];
+  const seen = {};
+  const valid = rows.map(() => false);
+  let previousId = null;
+  let previousTime = null;
+
+  rows.forEach((row, i) => {
+    const id = parseIdValue_(row.id);
+
+    if (isNaN(id)) {
+      issues.push({ index: i, type: 'blank', details: codedMessage_('idIssue.value', { value: String(row.id) }) });
+    } else if (seen[id] !== undefined) {
+      issues.push({ index: i, type: 'duplicate', details: codedMessage_('idIssue.sameAs', { row: rows[seen[id]].row }) });
+    } else if (previousId !== null && id <= previousId) {
+      issues.push({ index: i, type: 'order', details: codedMessage_('idIssue.after', { id: previousId }) });
+    } else {
+      if (previousId !== null && id - previousId > CONFIG.ID_INCREMENT) {
+        const missing = (id - previousId) / CONFIG.ID_INCREMENT - 1;
+        issues.push({ index: i, type: 'gap', details: codedMessage_('idIssue.missing', { count: missing, from: previousId, to: id }) });
+      }
+      valid[i] = true;
+      previousId = id;
+    }
+    if (!isNaN(id) && seen[id] === undefined) seen[id] = i;
+
+    const time = new Date(row.timestamp).getTime();
+    if (!isNaN(time)) {
+      if (previousTime !== null && time < previousTime) {
+        issues.push({ index: i, type: 'timestamp', details: codedMessage_('idIssue.before', { date: parseDateFromSheet(new Date(previousTime), true) }) });
+      }
+      previousTime = Math.max(previousTime || time, time);
+    }
+  });
+
+  // Propose IDs only for rows that break the sort order, and only if a free number fits between
+  // their valid neighbours; gaps are reported but never closed, so existing IDs keep their meaning
+  const used = new Set(rows.map(row => parseIdValue_(row.id)).filter(id => !isNaN(id)));
+  let lower = CONFIG.START_ID - CONFIG.ID_INCREMENT;
+  rows.forEach((row, i) => {
+    if (valid[i]) {
+      lower = parseIdValue_(row.id);
+      return;
+    }
+
+    const nextValid = valid.indexOf(true, i + 1);
+    const upper = nextValid === -1 ? Infinity : parseIdValue_(rows[nextValid].id);
+    let candidate = lower + CONFIG.ID_INCREMENT;
+    while (used.has(candidate) && candidate < upper) candidate += CONFIG.ID_INCREMENT;
+
+    const issue = issues.find(item => item.index === i && item.type !== 'gap' && item.type !== 'timestamp');
+    if (candidate < upper) {
+      issue.proposedId = candidate;
+      used.add(candidate);
+      lower = candidate;
+    } else {
+      issue.details = codedMessage_('idIssue.noFreeId', { details: issue.details });
+    }
+  });
+
+  return issues;
+}
+
+function checkIdIntegrity() {
+  requireRole_('checkIdIntegrity');
+  return runIdIntegrityCheck_(false);
+}
+
+function runIdIntegrityCheck_(notify) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet) throw appError_('error.sheetMissing');
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  let rows;
+  try {
+    backfillUids_(sheet);
+    const lastRow = sheet.getLastRow();
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cols = getColumnMappings(headers);
+    rows = lastRow > 1
+      ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().map((row, i) => ({
+        row: i + 2,
+        id: row[cols.id],
+        timestamp: row[cols.timestamp],
+        uid: row[cols.uid]
+      }))
+      : [];
+  } finally {
+    lock.releaseLock();
+  }
+
+  const issues = findIdIssues_(rows).map(issue => ({
+    row: rows[issue.index].row,
+    uid: rows[issue.index].uid,
+    type: issue.type,
+    label: codedMessage_(ID_ISSUE_LABELS[issue.type]),
+    details: issue.details,
+    currentId: rows[issue.index].id === '' ? '' : String(rows[issue.index].id),
+    proposedId: issue.proposedId === undefined ? '' : issue.proposedId
+  }));
+
+  const report = storeIdFixProposal_(issues);
+  if (notify && issues.length > 0 && isNewIdIntegrityResult_(issues)) {
+    alertAdmins_(lang => ({
+      subject: translate_(lang, 'alert.idIssuesSubject', { count: issues.length }),
+      htmlBody: renderIdIssuesHtml_(report, lang)
+    }));
+  }
+  return report;
+}
+
+function isNewIdIntegrityResult_(issues) {
+  // Gaps left by deletions persist, so only mail admins when the set of findings changes
+  const props = PropertiesService.getScriptProperties();
+  const digest = Utilities.base64Encode(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify(issues.map(issue => [issue.uid, issue.type, issue.currentId, issue.proposedId]))
+  ));
+  if (props.getProperty('ID_INTEGRITY_DIGEST') === digest) return false;
+  props.setProperty('ID_INTEGRITY_DIGEST', digest);
+  return true;
+}
+
+function storeIdFixProposal_(issues) {
+  const sheet = getProtectedSheet_(CONFIG.ID_FIXES_SHEET_NAME, ID_FIX_HEADERS);
+  const proposalId = Utilities.getUuid();
+  const createdAt = new Date();
+
+  // A new dry run replaces any proposal that was never approved
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    const statusRange = sheet.getRange(2, ID_FIX_HEADERS.length, lastRow - 1, 1);
+    statusRange.setValues(statusRange.getValues().map(([status]) => [status === 'pending' ? 'superseded' : status]));
+  }
+
+  if (issues.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, issues.length, ID_FIX_HEADERS.length).setValues(issues.map(issue => [
+      proposalId, createdAt, issue.row, issue.uid, issue.label, issue.details, issue.currentId, issue.proposedId,
+      issue.proposedId === '' ? 'info' : 'pending'
+    ]));
+  }
+
+  return {
+    proposalId,
+    createdAt: parseDateFromSheet(createdAt, true),
+    issues,
+    pendingFixes: issues.filter(issue => issue.proposedId !== '').length
+  };
+}
+
+function getIdIntegrityReport() {
+  requireRole_('getIdIntegrityReport');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.ID_FIXES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return null;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, ID_FIX_HEADERS.length).getValues();
+  const proposalId = data[data.length - 1][0];
+  const rows = data.filter(row => row[0] === proposalId);
+
+  return {
+    proposalId,
+    createdAt: parseDateFromSheet(rows[0][1], true),
+    issues: rows.map(row => ({
+      row: row[2],
+      uid: row[3],
+      label: row[4],
+      details: row[5],
+      currentId: String(row[6]),
+      proposedId: row[7],
+      status: row[8]
+    })),
+    pendingFixes: rows.filter(row => row[8] === 'pending').length
+  };
+}
+
+function applyIdFixes(proposalId) {
+  requireRole_('applyIdFixes');
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+  const fixSheet = ss.getSheetByName(CONFIG.ID_FIXES_SHEET_NAME);
+  if (!sheet || !fixSheet || fixSheet.getLastRow() <= 1) throw appError_('error.noIdFixes');
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const fixData = fixSheet.getRange(2, 1, fixSheet.getLastRow() - 1, ID_FIX_HEADERS.length).getValues();
+    const pending = fixData
+      .map((row, i) => ({ sheetRow: i + 2, uid: row[3], currentId: String(row[6]), proposedId: row[7], proposal: row[0], status: row[8] }))
+      .filter(fix => fix.proposal === proposalId && fix.status === 'pending');
+    if (pending.length === 0) throw appError_('error.idProposalExpired');
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cols = getColumnMappings(headers);
+    if (cols.uid === -1) throw appError_('error.uidColumnMissing', { column: CONFIG.UID_COLUMN });
+    const lastRow = sheet.getLastRow();
+    const uids = sheet.getRange(2, cols.uid + 1, lastRow - 1, 1).getValues().flat();
+    const ids = sheet.getRange(2, cols.id + 1, lastRow - 1, 1).getValues().flat();
+
+    let applied = 0;
+    const renumbered = {};
+    pending.forEach(fix => {
+      // Rows are matched by uid, and skipped if the ID changed since the dry run
+      const index = uids.indexOf(fix.uid);
+      let status = 'applied';
+      if (index === -1) status = 'skipped: rândul nu mai există';
+      else if (String(ids[index]) !== fix.currentId) status = 'skipped: ID-ul s-a modificat între timp';
+      else {
+        // History written under the old ID moves with the row, unless that ID was shared and its owner is unknown
+        const shared = ids.filter(id => String(id) === fix.currentId).length > 1;
+        if (!shared) claimLegacyRevisions_(fix.currentId, fix.uid);
+        sheet.getRange(index + 2, cols.id + 1).setValue(fix.proposedId);
+        ids[index] = fix.proposedId;
+        renumbered[fix.uid] = fix.proposedId;
+        recordPatientRevision_(fix.proposedId, [CONFIG.ID_COLUMN], [fix.currentId], [fix.proposedId], 'renumber', fix.uid);
+        applied++;
+      }
+      fixSheet.getRange(fix.sheetRow, ID_FIX_HEADERS.length).setValue(status);
+    });
+
+    // Flagged copies show the original's ID, so they follow it to the new number
+    if (applied > 0 && cols.duplicateOf !== -1 && cols.duplicateOfUid !== -1) {
+      const originals = sheet.getRange(2, cols.duplicateOfUid + 1, lastRow - 1, 1).getValues().flat();
+      const shownIds = sheet.getRange(2, cols.duplicateOf + 1, lastRow - 1, 1).getValues();
+      if (originals.some(uid => uid && renumbered[uid] !== undefined)) {
+        sheet.getRange(2, cols.duplicateOf + 1, lastRow - 1, 1)
+          .setValues(shownIds.map(([id], i) => [renumbered[originals[i]] !== undefined ? renumbered[originals[i]] : id]));
+      }
+    }
+
+    new IDManager().refreshIdStorage();
+    invalidateSearchIndex_();
+    return { applied, skipped: pending.length - applied };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function renderIdIssuesHtml_(report, lang) {
+  const text = (key, params) => escapeHtml_(translate_(lang, key, params));
+  // IDs and details come straight from register cells, so nothing is written into the HTML unescaped
+  const rows = report.issues.map(issue => [
+    issue.row,
+    messageText_(issue.label, lang),
+    messageText_(issue.details, lang),
+    issue.currentId || '-',
+    issue.proposedId === '' ? '-' : issue.proposedId
+  ]).map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml_(cell)}</td>`).join('')}</tr>`).join('');
+
+  return `
+    <h2>${text('alert.idIssuesTitle')}</h2>
+    <p>${text('alert.idIssuesSummary', { date: report.createdAt, issues: report.issues.length, pending: report.pendingFixes })}</p>
+    <p>${text('alert.idIssuesNote')}</p>
+    <table border="1" cellpadding="4" cellspacing="0">
+      <tr>${['row', 'issue', 'details', 'currentId', 'proposedId'].map(key => `<th>${text(`ui.integrity.${key}`)}</th>`).join('')}</tr>
+      ${rows}
+    </table>`;
+}
@@ -0,0 +1,1820 @@
+const MESSAGES = {
+  ro: {
+    'error.unknownAction': 'Acțiune necunoscută: {action}',
+    'error.accessDenied': 'Acces interzis: nu aveți drepturi pentru această acțiune',
+    'error.unknownLanguage': 'Limbă necunoscută: {language}',
+    'error.revisionNotFound': 'Revizia {revision} nu a fost găsită pentru pacientul {id}',
+    'error.unknownCertificateType': 'Tip de document necunoscut: {type}',
+    'error.certificateTemplateMissing': 'Nu există un șablon configurat pentru „{label}”',
+    'error.certificateSectionMissing': 'Pacientul nu are completată secțiunea pentru „{label}”. Salvați datele înainte de generare.',
+    'error.certificateFailed': 'Generare document eșuată: {reason}',
+    'error.passwordNotSet': 'Parola nu este setată',
+    'error.wrongPassword': 'Parolă incorectă',
+    'error.sheetMissing': 'Foaia nu există',
+    'error.patientNotFound': 'Pacientul cu ID {id} nu a fost găsit în baza de date.',
+    'error.unknownFormat': 'Format necunoscut: {format}',
+    'error.noPatientsInRange': 'Nu s-au găsit pacienți în intervalul de date specificat.',
+    'error.noPatientData': 'Nu există date despre pacienți disponibile',
+    'error.noReferralsInRange': 'Nu s-au găsit bilete sau rețete în intervalul de date specificat.',
+    'error.exportFailed': 'Export eșuat: {reason}',
+    'error.reportFailed': 'Raport eșuat: {reason}',
+    'error.conversionFailed': 'Conversia în {format} a eșuat (HTTP {status})',
+    'error.invalidDecision': 'Decizie invalidă: {decision}',
+    'error.selfLink': 'Nu se poate lega un pacient de el însuși',
+    'error.noIdFixes': 'Nu există corecții de aplicat',
+    'error.idProposalExpired': 'Propunerea nu mai este valabilă; rulați din nou verificarea',
+    'error.uidColumnMissing': 'Coloana {column} lipsește; rulați din nou verificarea',
+    'error.eraseUidMissing': 'Unele vizite nu au încă {column}; rulați verificarea ID-urilor înainte de ștergere',
+    'error.scheduleNameMissing': 'Introduceți un nume pentru programare',
+    'error.invalidFrequency': 'Frecvență invalidă: {frequency}',
+    'error.invalidWindow': 'Interval invalid: {window}',
+    'error.recipientsMissing': 'Introduceți cel puțin un destinatar',
+    'error.invalidEmails': 'Adrese de email invalide: {emails}',
+    'error.scheduleNotFound': 'Programarea nu a fost găsită',
+    'error.schemaMismatch': 'Structura foii nu corespunde schemei ({problems}). Scrierea a fost blocată.',
+    'error.idColumnMissing': 'Structura foii nu corespunde schemei (lipsește coloana "ID").',
+    'error.invalidDateRange': 'Interval de date invalid',
+    'error.searchCriteriaMissing': 'Introduceți cel puțin un câmp de căutare',
+    'error.deleteCriteriaMissing': 'Specificați ID-urile sau intervalul de timp pentru ștergere',
+    'error.noPatientsForCriteria': 'Nu s-au găsit pacienți pentru criteriile specificate',
+    'error.nothingSelected': 'Nu ați selectat nicio înregistrare',
+    'error.idInUse': 'ID-ul {id} este deja folosit în baza de date',
+    'error.unknownStatus': 'Stare necunoscută: {status}',
+    'error.emailConsentMissing': 'Pacientul nu și-a dat consimțământul pentru primirea emailului',
+    'error.emailConsentAddressChanged': 'Consimțământul nu a fost dat pentru adresa de email actuală; înregistrați-l din nou',
+    'error.patientEmailInvalid': 'Pacientul nu are o adresă de email validă',
+    'error.patientEmailFailed': 'Emailul către pacient nu a putut fi trimis: {reason}',
+    'error.apiUnauthorized': 'Token API lipsă sau invalid',
+    'error.apiUnknownVersion': 'Versiune API necunoscută: {version}',
+    'error.apiUnknownAction': 'Acțiune API necunoscută: {action}',
+    'error.apiMethodNotAllowed': 'Acțiunea {action} nu acceptă metoda {method}',
+    'error.apiInvalidBody': 'Corpul cererii nu este un obiect JSON valid',
+    'error.apiParameterMissing': 'Lipsește parametrul {name}',
+    'error.validationFailed': 'Datele pacientului nu sunt valide',
+    'error.saveConflict': 'Pacientul a fost modificat între timp (versiunea curentă {version})',
+    'error.internal': 'Eroare internă',
+    'error.notDuplicate': 'Vizita {id} nu este marcată ca duplicat',
+    'error.safetyAlertsUnacknowledged': 'Salvarea necesită confirmarea a {count} alerte de siguranță',
+
+    'schema.missingColumn': 'lipsește coloana "{header}"',
+    'schema.duplicateColumn': 'coloana "{header}" apare de {count} ori',
+    'schema.editableOrder': 'coloanele editabile nu sunt consecutive în ordinea {headers}',
+
+    'validation.btCasFormat': 'BT CAS {index} trebuie să aibă formatul {example}',
+    'validation.btCasType': 'Tip invalid pentru BT CAS {index}: {type}',
+    'validation.btCasIncomplete': 'Completați toate câmpurile pentru BT CAS {index} (Serie/Număr, Specialitate, Tip)',
+    'validation.rpGratuitaFormat': 'Rețeta gratuită trebuie să aibă formatul {example}',
+    'validation.rangeStartMissing': 'Completați data de început pentru {range}',
+    'validation.rangeEndMissing': 'Completați data de sfârșit pentru {range}',
+    'validation.rangeStartInvalid': 'Data de început pentru {range} este invalidă',
+    'validation.rangeEndInvalid': 'Data de sfârșit pentru {range} este invalidă',
+    'validation.rangeOrder': 'Data de sfârșit pentru {range} nu poate fi înainte de data de început',
+    'validation.unknownCodes': 'Coduri de boală necunoscute: {codes}',
+    'validation.notNumber': '{label} trebuie să fie un număr',
+    'validation.outOfRange': '{label} trebuie să fie între {min} și {max} {unit}',
+    'validation.heightMissing': 'Introduceți înălțimea',
+    'validation.weightMissing': 'Introduceți greutatea',
+    'validation.ebCodesMissing': 'Introduceți codurile de boală',
+    'validation.serialRepeated': 'Seria {serial} este folosită de două ori la acest pacient',
+    'validation.serialUsed': 'Seria {serial} a fost deja folosită la pacientul cu ID {id}',
+
+    'range.absence': 'scutire absență',
+    'range.sport': 'scutire sport',
+
+    'measure.height': 'Înălțimea',
+    'measure.weight': 'Greutatea',
+
+    'access.deniedTitle': 'Acces interzis',
+    'access.deniedBody': 'Contul dumneavoastră nu are acces la registrul medical.',
+
+    'report.subject': 'Raportări UMF Registru Medical ({start} - {end})',
+    'report.title': 'Raport Registru Medical',
+    'report.totalPatients': 'Număr total de pacienți în interval:',
+    'report.codes': 'Coduri de boală:',
+    'report.uniqueCodes': 'Coduri unice: {count}',
+    'report.totalCodes': 'Total apariții coduri: {count}',
+    'report.ebCodes': 'EB Coduri de boală:',
+    'report.noEbCodes': 'Niciun cod EB utilizat',
+    'report.prescriptions': 'Tipuri de prescripții:',
+    'report.sheetNote': 'Detaliile se găsesc și în fișierul {sheet}.',
+    'report.duration': 'Generat în {seconds} secunde',
+    'report.patientCount': '{count} pacienți',
+    'report.byDimension': 'Pe {dimension}:',
+    'report.visits': 'Vizite',
+    'report.topCodes': 'Coduri frecvente',
+    'report.trend': 'Evoluția vizitelor:',
+    'report.weekStarting': 'Săptămâna începând cu',
+    'report.day': 'Ziua',
+    'report.sheetDimension': 'Dimensiune',
+    'report.sheetGroup': 'Grup',
+    'report.sheetWeek': 'Săptămână',
+    'report.sheetDay': 'Zi',
+    'report.unknown': 'Necunoscut',
+
+    'dimension.faculty': 'Facultate',
+    'dimension.year': 'An de studiu',
+    'dimension.language': 'Limbă',
+    'dimension.gender': 'Sex',
+    'dimension.ageBand': 'Grupă de vârstă',
+
+    'ageBand.under20': 'sub 20',
+
+    'counter.rpIntegrala': 'RP integrale',
+    'counter.rpGratuita': 'RP gratuite',
+    'counter.btCas': 'BT CAS (total 1-3)',
+    'counter.btSimplu': 'BT simple',
+    'counter.amAbsenta': 'AM scutiri absențe',
+    'counter.amSport': 'AM scutiri sport',
+    'counter.amAlt': 'AM alte scopuri',
+    'counter.amBursa': 'AM burse medicale',
+    'counter.aeAviz': 'AE avize epidemiologice',
+    'counter.ebInaltime': 'EB examene bilanț',
+
+    'bmi.underweight': 'Subponderal (< 18,5)',
+    'bmi.normal': 'Normal (18,5 - 24,9)',
+    'bmi.overweight': 'Supraponderal (25 - 29,9)',
+    'bmi.obese': 'Obezitate (≥ 30)',
+
+    'referrals.title': 'Bilete de trimitere și rețete gratuite:',
+    'referrals.bySpecialty': 'BT CAS pe specialități:',
+    'referrals.specialty': 'Specialitate',
+    'referrals.total': 'Total',
+    'referrals.duplicates': 'Serii folosite de mai multe ori:',
+    'referrals.duplicateLine': '{kind} {serial} (ID {id}) - folosită și la: {others}',
+    'referrals.samePatient': '{field} (același pacient)',
+    'referrals.unknownSpecialty': 'Necunoscută',
+
+    'referralKind.btCas': 'BT CAS',
+    'referralKind.rpGratuita': 'RP gratuită',
+
+    'btCasType.Acut': 'Acut',
+    'btCasType.Cronic': 'Cronic',
+
+    'referralLog.document': 'Document',
+    'referralLog.series': 'Serie',
+    'referralLog.number': 'Număr',
+    'referralLog.specialty': 'Specialitate',
+    'referralLog.type': 'Tip',
+    'referralLog.date': 'Data',
+    'referralLog.patientId': 'ID pacient',
+    'referralLog.name': 'Nume',
+    'referralLog.notes': 'Observații',
+    'referralLog.invalidFormat': 'format invalid',
+    'referralLog.duplicate': 'serie folosită și la: {others}',
+
+    'export.number': 'Nr. crt.',
+    'export.day': 'Ziua',
+    'export.name': 'Numele și prenumele',
+    'export.age': 'Vârsta',
+    'export.gender': 'Sexul',
+    'export.address': 'Domiciliul',
+    'export.occupation': 'Ocupație',
+    'export.symptoms': 'Simptome',
+    'export.diagnosis': 'Diagnostic',
+    'export.code': 'Cod',
+    'export.prescriptions': 'Prescripții',
+
+    'visitEmail.subject': 'Rezumatul vizitei din {date}',
+    'visitEmail.greeting': 'Bună ziua, {name},',
+    'visitEmail.intro': 'Vă transmitem rezumatul vizitei dumneavoastră la cabinetul medical din {date}.',
+    'visitEmail.diagnosis': 'Diagnostic',
+    'visitEmail.codes': 'Coduri de boală',
+    'visitEmail.prescriptions': 'Prescripții',
+    'visitEmail.referrals': 'Bilete de trimitere',
+    'visitEmail.referral': 'BT CAS {serial}: {specialty}, {type}',
+    'visitEmail.exemptions': 'Scutiri și adeverințe',
+    'visitEmail.absence': 'Scutire absență',
+    'visitEmail.sport': 'Scutire sport',
+    'visitEmail.period': '{label}: {start} - {end}',
+    'visitEmail.attachments': 'Adeverințele medicale atașate: nr. {numbers}.',
+    'visitEmail.footer': 'Ați primit acest email deoarece ați fost de acord să primiți rezumatul vizitei. Pentru întrebări, vă rugăm să contactați cabinetul medical.',
+
+    'privacy.bundle.title': 'Datele personale deținute despre dumneavoastră',
+    'privacy.bundle.generatedAt': 'Generat la {date}',
+    'privacy.bundle.visit': 'Vizita nr. {id} din {date}',
+    'privacy.bundle.revisions': 'Istoricul modificărilor',
+    'privacy.bundle.certificates': 'Documente medicale emise',
+    'privacy.bundle.emails': 'Emailuri trimise',
+    'privacy.bundle.none': 'Nu există.',
+    'privacy.erased': 'Copii șterse din coș: {trashed}; documente PDF șterse: {files}',
+    'privacy.retention': 'Politica de retenție ({mode}, {years} ani): vizite anterioare datei de {cutoff}; copii curățate în coș: {trashed}',
+    'privacy.trashScrubbed': 'Copii curățate în coș: {trashed}',
+
+    'field.diagnosis': 'Diagnostic',
+    'field.codes1': 'Coduri de boală',
+    'field.rpIntegrala': 'Rețetă Integrală',
+    'field.rpGratuita': 'Rețetă Gratuită',
+    'field.btCas1': 'BT CAS 1',
+    'field.btCas2': 'BT CAS 2',
+    'field.btCas3': 'BT CAS 3',
+    'field.specialitate1': 'Specialitate BT CAS 1',
+    'field.tip1': 'Tip BT CAS 1',
+    'field.specialitate2': 'Specialitate BT CAS 2',
+    'field.tip2': 'Tip BT CAS 2',
+    'field.specialitate3': 'Specialitate BT CAS 3',
+    'field.tip3': 'Tip BT CAS 3',
+    'field.btSimplu': 'Bilet simplu',
+    'field.amAbsenta': 'Scutire absență',
+    'field.amAbsentaStart': 'Scutire absență de la',
+    'field.amAbsentaEnd': 'Scutire absență până la',
+    'field.amSport': 'Scutire sport',
+    'field.amSportStart': 'Scutire sport de la',
+    'field.amSportEnd': 'Scutire sport până la',
+    'field.amAlt': 'Alt scop',
+    'field.amBursa': 'Bursă Medicală',
+    'field.aeAviz': 'Aviz Epidemiologic',
+    'field.ebInaltime': 'Înălțime (cm)',
+    'field.ebGreutate': 'Greutate (kg)',
+    'field.ebIMC': 'IMC (bmi)',
+    'field.codes2': 'Coduri de boală EB',
+
+    'prescription.rpIntegrala': 'RP Integrală',
+    'prescription.rpGratuita': 'RP Gratuită',
+    'prescription.btCas1': 'BT CAS1',
+    'prescription.btCas2': 'BT CAS2',
+    'prescription.btCas3': 'BT CAS3',
+    'prescription.btSimplu': 'BT Simplu',
+    'prescription.amAbsenta': 'AM Absență',
+    'prescription.amSport': 'AM Sport',
+    'prescription.amAlt': 'AM Alt',
+    'prescription.amBursa': 'AM Bursă',
+    'prescription.aeAviz': 'AE Aviz',
+    'prescription.eb': 'EB: {height} cm | {weight} kg | {bmi} imc | Cod: {codes}',
+
+    'certificate.amAbsenta': 'Adeverință medicală - scutire absență',
+    'certificate.amSport': 'Adeverință medicală - scutire sport',
+    'certificate.amAlt': 'Adeverință medicală',
+    'certificate.amBursa': 'Adeverință medicală pentru bursă',
+    'certificate.aeAviz': 'Aviz epidemiologic',
+
+    'idIssue.blank': 'ID lipsă sau invalid',
+    'idIssue.duplicate': 'ID duplicat',
+    'idIssue.order': 'ID în afara ordinii',
+    'idIssue.gap': 'Gol în numerotare',
+    'idIssue.timestamp': 'Timestamp în afara ordinii',
+    'idIssue.value': 'valoare: "{value}"',
+    'idIssue.sameAs': 'același ID ca rândul {row}',
+    'idIssue.after': 'după ID-ul {id}',
+    'idIssue.missing': '{count} ID-uri lipsă între {from} și {to}',
+    'idIssue.before': 'înainte de {date}',
+    'idIssue.noFreeId': '{details}; nu există un ID liber între rândurile vecine, necesită verificare manuală',
+
+    'alert.idIssuesSubject': 'Verificare ID-uri: {count} probleme găsite',
+    'alert.idIssuesTitle': 'Verificare integritate ID-uri',
+    'alert.idIssuesSummary': 'Verificarea din {date} a găsit {issues} probleme, dintre care {pending} au o corecție propusă.',
+    'alert.idIssuesNote': 'Nicio modificare nu a fost aplicată. Corecțiile se aplică doar după aprobare, din panoul „Integritate ID” al registrului.',
+    'alert.scheduleFailedSubject': 'Raport programat eșuat: {name}',
+    'alert.scheduleFailed': 'Raportul programat „{name}” nu a putut fi trimis.',
+    'alert.error': 'Eroare: {error}',
+
+    'status.waiting': 'În așteptare',
+    'status.in_progress': 'În consultație',
+    'status.done': 'Finalizat',
+
+    'ui.language': 'Limba interfeței',
+    'ui.toolbar.refresh': 'Reîncarcă',
+    'ui.toolbar.worklist': 'Listă',
+    'ui.save': 'Salvează',
+    'ui.toolbar.saveNext': 'Salvează și următorul',
+    'ui.toolbar.saveNextTitle': 'Salvează și treci la pacientul următor (Ctrl+Enter)',
+    'ui.dirty': '● Modificări nesalvate',
+    'ui.dirtyNoDraft': '● Modificări nesalvate (ciorna nu a putut fi păstrată)',
+    'ui.toolbar.search': 'Caută',
+    'ui.toolbar.history': 'Istoric',
+    'ui.toolbar.certificate': 'Document',
+    'ui.toolbar.email': 'Email',
+    'ui.toolbar.previousDay': 'Ziua anterioară',
+    'ui.toolbar.nextDay': 'Ziua următoare',
+    'ui.page': 'Pagina',
+    'ui.pageOf': 'din',
+    'ui.toolbar.export': 'Exportă',
+    'ui.toolbar.report': 'Raportează',
+    'ui.toolbar.schedules': 'Programări',
+    'ui.toolbar.stats': 'Statistici',
+    'ui.toolbar.integrity': 'Integritate ID',
+    'ui.toolbar.privacy': 'GDPR',
+    'ui.delete': 'Șterge',
+    'ui.cancel': 'Anulează',
+    'ui.confirm': 'Confirmă',
+    'ui.close': 'Închide',
+    'ui.startDate': 'Data început',
+    'ui.endDate': 'Data sfârșit',
+    'ui.name': 'Nume',
+    'ui.yes': 'Da',
+    'ui.no': 'Nu',
+    'ui.datesMissing': 'Vă rugăm să completați ambele date',
+    'ui.dateOrder': 'Data / Ora de sfârșit nu poate fi înainte de data / ora de început',
+    'ui.layoutErrors': 'Structura foii nu corespunde schemei: {problems}. Salvarea este dezactivată.',
+    'ui.missingInput': 'formularul nu are câmpul "{field}"',
+    'ui.unknownCode': '{code} - cod necunoscut',
+    'ui.search.title': 'Căutare Pacient',
+    'ui.search.name': 'Nume Prenume',
+    'ui.search.namePlaceholder': 'Introduceți numele și prenumele',
+    'ui.search.idPlaceholder': 'Introduceți ID-ul vizitei',
+    'ui.search.emailPlaceholder': 'Introduceți email-ul',
+    'ui.search.phone': 'Telefon',
+    'ui.search.phonePlaceholder': 'Introduceți numărul de telefon',
+    'ui.search.codesPlaceholder': 'EX: 12 45',
+    'ui.search.diagnosisPlaceholder': 'Cuvinte cheie din diagnostic',
+    'ui.search.facultyPlaceholder': 'Introduceți facultatea',
+    'ui.search.yearPlaceholder': 'EX: 3',
+    'ui.search.searching': 'Se caută pacientul...',
+    'ui.search.none': 'Nu s-au găsit rezultate',
+    'ui.search.foundOne': 'S-a găsit 1 rezultat',
+    'ui.search.foundMany': 'S-au găsit {count} rezultate',
+    'ui.codes': 'Coduri de boală',
+    'ui.diagnosis': 'Diagnostic',
+    'ui.faculty': 'Facultate',
+    'ui.studyYear': 'An de studiu',
+    'ui.export.title': 'Export Pacienți',
+    'ui.export.content': 'Conținut',
+    'ui.export.patients': 'Registrul de pacienți',
+    'ui.export.referrals': 'Registrul BT CAS și RP gratuite',
+    'ui.export.pdf': 'PDF pentru tipărire',
+    'ui.export.language': 'Limba antetelor',
+    'ui.export.running': 'Se exportă pacienții...',
+    'ui.export.runningReferrals': 'Se exportă registrul de bilete și rețete...',
+    'ui.export.done': 'Exportul a fost realizat cu succes',
+    'ui.report.title': 'Raport Pacienți',
+    'ui.report.language': 'Limba raportului',
+    'ui.report.running': 'Se raportează pacienții...',
+    'ui.report.done': 'Raportul a fost realizat cu succes',
+    'ui.history.title': 'Istoric Modificări',
+    'ui.history.loading': 'Se încarcă istoricul...',
+    'ui.history.empty': 'Nu există modificări înregistrate pentru acest pacient',
+    'ui.history.restoreTag': 'restaurare',
+    'ui.history.restore': 'Restaurează',
+    'ui.history.field': 'Câmp',
+    'ui.history.before': 'Înainte',
+    'ui.history.after': 'După',
+    'ui.history.confirmRestore': 'Restaurați pacientul la această versiune?',
+    'ui.history.restoring': 'Se restaurează versiunea...',
+    'ui.history.restored': 'Versiunea a fost restaurată cu succes',
+    'ui.certificate.title': 'Documente Medicale',
+    'ui.certificate.type': 'Tip document',
+    'ui.certificate.generate': 'Generează PDF',
+    'ui.certificate.noTemplate': '{label} (fără șablon)',
+    'ui.certificate.empty': 'Nu au fost emise documente pentru acest pacient',
+    'ui.certificate.entry': 'Nr. {number} - {issuedAt} - {issuedBy}',
+    'ui.certificate.generating': 'Se generează documentul...',
+    'ui.certificate.generated': 'Documentul nr. {number} a fost generat',
+    'ui.email.title': 'Email către pacient',
+    'ui.email.recipient': 'Destinatar: {email}',
+    'ui.email.noAddress': 'Pacientul nu are adresă de email',
+    'ui.email.consent': 'Pacientul este de acord să primească rezumatul vizitei pe email',
+    'ui.email.consentGiven': 'Consimțământ înregistrat la {date}',
+    'ui.email.consentOtherAddress': 'Consimțământul din {date} a fost dat pentru altă adresă de email; bifați din nou pentru adresa actuală',
+    'ui.email.consentSaved': 'Consimțământul a fost actualizat',
+    'ui.email.language': 'Limba emailului',
+    'ui.email.send': 'Trimite rezumatul',
+    'ui.email.sending': 'Se trimite emailul...',
+    'ui.email.sent': 'Emailul a fost trimis către {recipient}',
+    'ui.email.empty': 'Nu au fost trimise emailuri pentru acest pacient',
+    'ui.email.entry': '{timestamp} / {user} / {recipient}',
+    'ui.email.attachments': 'Atașamente: {numbers}',
+    'ui.email.status.sent': 'Trimis',
+    'ui.email.status.blocked': 'Blocat',
+    'ui.email.status.failed': 'Eșuat',
+    'ui.schedule.title': 'Rapoarte Programate',
+    'ui.schedule.namePlaceholder': 'EX: Raport lunar conducere',
+    'ui.schedule.recipients': 'Destinatari',
+    'ui.schedule.recipientsPlaceholder': 'EX: a@umf.ro, b@umf.ro',
+    'ui.schedule.frequency': 'Frecvență',
+    'ui.schedule.window': 'Interval raportat',
+    'ui.schedule.interval': 'Interval',
+    'ui.schedule.lastRun': 'Ultima rulare',
+    'ui.schedule.enabled': 'Activă',
+    'ui.schedule.inactive': '(inactivă)',
+    'ui.schedule.new': 'Programare nouă',
+    'ui.schedule.empty': 'Nu există rapoarte programate',
+    'ui.schedule.edit': 'Editează',
+    'ui.schedule.runNow': 'Rulează acum',
+    'ui.schedule.saved': 'Programarea a fost salvată',
+    'ui.schedule.confirmDelete': 'Ștergeți programarea "{name}"?',
+    'ui.schedule.deleted': 'Programarea a fost ștearsă',
+    'ui.schedule.sending': 'Se trimite raportul...',
+    'ui.schedule.sent': 'Raportul a fost trimis',
+    'ui.frequency.weekly': 'Săptămânal',
+    'ui.frequency.monthly': 'Lunar',
+    'ui.frequency.yearly': 'Anual',
+    'ui.frequencyOption.weekly': 'Săptămânal (luni)',
+    'ui.frequencyOption.monthly': 'Lunar (în data de 1)',
+    'ui.frequencyOption.yearly': 'Anual (1 ianuarie)',
+    'ui.window.previous_week': 'Săptămâna anterioară',
+    'ui.window.previous_month': 'Luna anterioară',
+    'ui.window.previous_year': 'Anul anterior',
+    'ui.window.last_7_days': 'Ultimele 7 zile',
+    'ui.window.last_30_days': 'Ultimele 30 de zile',
+    'ui.windowOption.previous_week': 'Săptămâna calendaristică anterioară',
+    'ui.windowOption.previous_month': 'Luna calendaristică anterioară',
+    'ui.windowOption.previous_year': 'Anul calendaristic anterior',
+    'ui.merge.title': 'Conflict la salvare',
+    'ui.merge.intro': 'Pacientul a fost modificat de alt utilizator după ce l-ați deschis. Alegeți pentru fiecare câmp ce versiune se păstrează.',
+    'ui.merge.allTheirs': 'Toate salvate',
+    'ui.merge.allMine': 'Toate ale mele',
+    'ui.merge.mine': 'Versiunea mea',
+    'ui.merge.theirs': 'Versiunea salvată',
+    'ui.merge.keep': 'Păstrează',
+    'ui.merge.optionMine': 'A mea',
+    'ui.merge.optionTheirs': 'Salvată',
+    'ui.merge.optionCombine': 'Combină',
+    'ui.integrity.title': 'Integritate ID-uri',
+    'ui.integrity.intro': 'Verificarea nu modifică nimic. ID-urile propuse se aplică doar după confirmare, iar golurile din numerotare nu sunt închise niciodată.',
+    'ui.integrity.run': 'Verifică acum',
+    'ui.integrity.apply': 'Aplică corecțiile',
+    'ui.integrity.checking': 'Se verifică ID-urile...',
+    'ui.integrity.found': 'S-au găsit {count} probleme',
+    'ui.integrity.none': 'Nu s-au găsit probleme',
+    'ui.integrity.lastClean': 'Ultima verificare ({date}) nu a găsit probleme',
+    'ui.integrity.never': 'Nu a fost rulată nicio verificare',
+    'ui.integrity.summary': 'Verificarea din {date}: {issues} probleme, {pending} corecții în așteptare',
+    'ui.integrity.row': 'Rând',
+    'ui.integrity.issue': 'Problemă',
+    'ui.integrity.details': 'Detalii',
+    'ui.integrity.currentId': 'ID actual',
+    'ui.integrity.proposedId': 'ID propus',
+    'ui.integrity.status': 'Stare',
+    'ui.integrity.confirmApply': 'Aplicați ID-urile propuse? Modificările sunt înregistrate în istoricul fiecărui pacient.',
+    'ui.integrity.applying': 'Se aplică corecțiile...',
+    'ui.integrity.applied': 'Corecții aplicate: {applied}, omise: {skipped}',
+    'ui.delete.title': 'Șterge Pacienți',
+    'ui.delete.scope': 'Ce se șterge',
+    'ui.delete.current': 'Pacientul curent',
+    'ui.delete.ids': 'Pacienții cu ID-urile',
+    'ui.delete.range': 'Pacienții din intervalul',
+    'ui.delete.all': 'Toată baza de date',
+    'ui.delete.idsLabel': 'ID-uri',
+    'ui.delete.idsPlaceholder': 'EX: 12, 15, 20',
+    'ui.delete.allWarning': 'Atenție! Această acțiune este permanentă și nu poate fi anulată. Se va crea automat o copie de siguranță a bazei de date.',
+    'ui.delete.password': 'Parola',
+    'ui.delete.passwordPlaceholder': 'Introduceți parola pentru confirmare',
+    'ui.delete.trashNote': 'Înregistrările șterse se mută în coș și pot fi restaurate.',
+    'ui.noPatient': 'Nu există pacient selectat',
+    'ui.delete.idsMissing': 'Introduceți cel puțin un ID',
+    'ui.delete.trashed': '{count} înregistrări au fost mutate în coș',
+    'ui.delete.done': 'Ştergerea a fost realizată cu succes',
+    'ui.delete.doneBackup': 'Ştergerea a fost realizată cu succes. Copie de siguranță: {name}',
+    'ui.trash': 'Coș',
+    'ui.trash.restoreSelected': 'Restaurează selectate',
+    'ui.trash.empty': 'Coșul este gol',
+    'ui.trash.visit': 'Vizită',
+    'ui.trash.deletedBy': 'Șters de',
+    'ui.trash.deletedAt': 'Șters la',
+    'ui.trash.expiresAt': 'Expiră la',
+    'ui.trash.nothingSelected': 'Selectați cel puțin o înregistrare',
+    'ui.trash.restored': '{count} înregistrări au fost restaurate',
+    'ui.privacy.title': 'Date personale (GDPR)',
+    'ui.privacy.intro': 'Vizitele găsite pentru pacientul curent după email, telefon și nume. Bifați doar vizitele care aparțin aceleiași persoane.',
+    'ui.privacy.loading': 'Se caută vizitele persoanei...',
+    'ui.privacy.email': 'Email',
+    'ui.privacy.phone': 'Telefon',
+    'ui.privacy.matchedBy': 'Potrivire',
+    'ui.privacy.current': 'vizita curentă',
+    'ui.privacy.format': 'Format export',
+    'ui.privacy.export': 'Exportă datele',
+    'ui.privacy.pseudonymize': 'Pseudonimizează',
+    'ui.privacy.erase': 'Șterge definitiv',
+    'ui.privacy.working': 'Se procesează cererea...',
+    'ui.privacy.exported': 'Datele persoanei au fost exportate',
+    'ui.privacy.confirmPseudonymize': 'Înlocuiți numele, emailul, telefonul și adresa din {count} vizite cu un pseudonim? Datele clinice se păstrează. Acțiunea nu poate fi anulată.',
+    'ui.privacy.confirmErase': 'Ștergeți definitiv {count} vizite, fără copie în coș? Acțiunea nu poate fi anulată.',
+    'ui.privacy.pseudonymized': '{count} vizite au fost pseudonimizate ({subject})',
+    'ui.privacy.erased': '{count} vizite au fost șterse definitiv',
+    'ui.duplicate.title': 'Trimitere duplicată',
+    'ui.duplicate.intro': 'Formularul pare trimis de două ori. Unirea completează câmpurile goale ale vizitei originale cu ce s-a introdus pe copie și scoate copia din rapoarte și exporturi.',
+    'ui.duplicate.compare': 'Compară',
+    'ui.duplicate.merge': 'Unește cu originalul',
+    'ui.duplicate.dismiss': 'Nu este duplicat',
+    'ui.duplicate.copy': 'Copie',
+    'ui.duplicate.original': 'Original',
+    'ui.duplicate.badge': 'Posibil duplicat',
+    'ui.duplicate.confirmedBadge': 'Duplicat',
+    'ui.duplicate.suspected': 'Posibil duplicat al vizitei {id}',
+    'ui.duplicate.confirmed': 'Duplicat unit cu vizita {id}; nu apare în rapoarte și exporturi',
+    'ui.duplicate.saveFirst': 'Salvați sau renunțați la modificări înainte de unire',
+    'ui.duplicate.merged': 'Copia a fost unită cu vizita {id}',
+    'ui.duplicate.dismissed': 'Vizita nu mai este marcată ca duplicat',
+    'ui.safety.title': 'Alerte de siguranță',
+    'ui.safety.intro': 'Rețeta conține medicamente semnalate pentru alergiile sau bolile cronice ale pacientului. Salvarea continuă doar după confirmarea fiecărei alerte și rămâne înregistrată.',
+    'ui.safety.confirm': 'Am verificat alertele și păstrez prescripția',
+    'ui.safety.review': 'Revizuiesc rețeta',
+    'ui.safety.acknowledge': 'Salvează cu alertele confirmate',
+    'ui.safety.pending': 'Confirmați {count} alerte de siguranță înainte de salvare',
+    'ui.safety.alert': '{drug} este semnalat pentru {source}: {keyword}.',
+    'ui.safety.drug': 'Medicament',
+    'ui.safety.reason': 'Motiv',
+    'ui.safety.source.allergy': 'alergie',
+    'ui.safety.source.chronic': 'boală cronică',
+    'ui.stats.title': 'Statistici',
+    'ui.stats.last7': 'Ultimele 7 zile',
+    'ui.stats.last30': 'Ultimele 30 de zile',
+    'ui.stats.last90': 'Ultimele 90 de zile',
+    'ui.stats.thisYear': 'Anul curent',
+    'ui.stats.custom': 'Interval ales',
+    'ui.stats.show': 'Afișează',
+    'ui.stats.back': 'Înapoi la registru',
+    'ui.stats.loading': 'Se calculează statisticile...',
+    'ui.stats.period': 'Perioada {start} - {end}',
+    'ui.stats.visits': 'Vizite',
+    'ui.stats.codes': 'Coduri de boală înregistrate',
+    'ui.stats.uniqueCodes': 'Coduri distincte',
+    'ui.stats.bmiMeasured': 'Examene de bilanț cu IMC',
+    'ui.stats.byDay': 'Vizite pe zi',
+    'ui.stats.byWeek': 'Vizite pe săptămână',
+    'ui.stats.byHour': 'Vizite pe oră',
+    'ui.stats.topCodes': 'Cele mai frecvente coduri',
+    'ui.stats.prescriptions': 'Rețete și bilete',
+    'ui.stats.certificates': 'Adeverințe și avize',
+    'ui.stats.faculty': 'Facultate',
+    'ui.stats.year': 'An de studiu',
+    'ui.stats.bmi': 'Distribuția IMC la examenele de bilanț',
+    'ui.stats.empty': 'Nu există date pentru această perioadă',
+    'ui.worklist.title': 'Listă de lucru',
+    'ui.worklist.allStatuses': 'Toate stările',
+    'ui.worklist.allGenders': 'Toate sexele',
+    'ui.worklist.allFaculties': 'Toate facultățile',
+    'ui.worklist.currentStatus': 'Starea pacientului curent',
+    'ui.worklist.automatic': 'Automat',
+    'ui.worklist.hint': 'Alt+N: următorul pacient în așteptare',
+    'ui.worklist.noMatch': 'Niciun pacient nu corespunde filtrelor',
+    'ui.worklist.empty': 'Nu există pacienți încărcați',
+    'ui.worklist.noWaiting': 'Nu există alți pacienți în așteptare în lista încărcată',
+    'ui.worklist.statusUpdated': 'Stare actualizată: {status}',
+    'ui.worklist.newOne': 'A sosit 1 pacient nou',
+    'ui.worklist.newMany': 'Au sosit {count} pacienți noi',
+    'ui.today': 'astăzi',
+    'ui.onDate': 'în {date}',
+    'ui.loadingPatients': 'Se încarcă pacienții {label}...',
+    'ui.noPatientsFor': 'Nu există pacienți înregistrați {label}',
+    'ui.loadedOne': 'S-a încărcat cu succes 1 pacient',
+    'ui.loadedMany': 'S-au încărcat cu succes {count} pacienți',
+    'ui.noPatientToSave': 'Nu există pacient selectat pentru salvare',
+    'ui.invalidData': 'Format invalid al datelor',
+    'ui.saving': 'Se salvează datele...',
+    'ui.saveConflict': 'Pacientul a fost modificat între timp de alt utilizator',
+    'ui.saved': 'Datele pacientului au fost salvate cu succes',
+    'ui.invalidOne': 'Datele nu au fost salvate: 1 câmp necesită corectare',
+    'ui.invalidMany': 'Datele nu au fost salvate: {count} câmpuri necesită corectare',
+    'ui.draftRestoredStale': 'S-a restaurat ciorna din {date}, dar pacientul a fost salvat între timp. Verificați datele înainte de salvare.',
+    'ui.draftRestored': 'S-a restaurat ciorna nesalvată din {date}',
+    'ui.leaveWithDraft': 'Pacientul curent are modificări nesalvate. Ele rămân păstrate ca ciornă pe acest dispozitiv și vor fi restaurate când reveniți. Continuați?',
+    'ui.leaveWithoutDraft': 'Pacientul curent are modificări nesalvate care nu au putut fi păstrate ca ciornă și se vor pierde. Continuați?',
+    'ui.section.patientInfo': 'Informații Pacient',
+    'ui.column.visit': 'ID / Data, ora vizitei',
+    'ui.column.basic': 'Nume / Vârsta / Sexul',
+    'ui.column.contact': 'Email / Telefon',
+    'ui.column.education': 'Facultate / An / Limbă',
+    'ui.section.medicalHistory': 'Istoric Medical',
+    'ui.lastMenstruation': 'Prima zi a ultimei menstruații:',
+    'ui.item.symptoms': 'Simptome / Motiv Vizită',
+    'ui.item.treatment': 'Tratament Curent',
+    'ui.item.chronic': 'Boli Cronice',
+    'ui.item.allergies': 'Alergii',
+    'ui.section.previousVisits': 'Vizite Anterioare',
+    'ui.section.diagnosis': 'Diagnostic Medical',
+    'ui.section.prescription': 'Rețetă Medicală',
+    'ui.section.referral': 'Bilet Trimitere',
+    'ui.section.certificate': 'Adeverință Medicală',
+    'ui.section.checkup': 'Examen Bilanț',
+    'ui.diagnosisPlaceholder': 'Introduceți diagnosticul',
+    'ui.codesPlaceholder': 'Introduceți codurile de boală',
+    'ui.dataPlaceholder': 'Introduceți datele',
+    'ui.rpGratuitaPlaceholder': 'EX: ABCDEF 12345',
+    'ui.btCasPlaceholder': 'EX: ABCDE 1234567',
+    'ui.btCasSerial1': 'BT CAS 1 Serie / Număr',
+    'ui.btCasSerial2': 'BT CAS 2 Serie / Număr',
+    'ui.btCasSerial3': 'BT CAS 3 Serie / Număr',
+    'ui.specialty': 'Specialitate',
+    'ui.selectSpecialty': 'Selectează specialitatea',
+    'ui.type': 'Tip',
+    'ui.selectType': 'Selectează tipul',
+    'ui.until': 'până la',
+    'ui.heightPlaceholder': 'Introduceți înălțimea',
+    'ui.weightPlaceholder': 'Introduceți greutatea',
+    'ui.bmiPlaceholder': 'Calculat automat',
+    'ui.timeline.loading': 'Se încarcă vizitele anterioare...',
+    'ui.timeline.empty': 'Nu există alte vizite pentru acest pacient',
+    'ui.timeline.matchEmail': 'email',
+    'ui.timeline.matchPhone': 'telefon',
+    'ui.timeline.matchName': 'nume',
+    'ui.timeline.confirmed': '(confirmat manual)',
+    'ui.timeline.matched': '(potrivire: {keys})',
+    'ui.timeline.same': 'Aceeași persoană',
+    'ui.timeline.different': 'Altă persoană',
+    'ui.timeline.prescriptions': 'Prescripții',
+    'ui.timeline.bmiTrend': 'Evoluție IMC: {points}',
+    'ui.timeline.linkSaved': 'Legătura a fost salvată'
+  },
+  en: {
+    'error.unknownAction': 'Unknown action: {action}',
+    'error.accessDenied': 'Access denied: you do not have permission for this action',
+    'error.unknownLanguage': 'Unknown language: {language}',
+    'error.revisionNotFound': 'Revision {revision} was not found for patient {id}',
+    'error.unknownCertificateType': 'Unknown document type: {type}',
+    'error.certificateTemplateMissing': 'No template is configured for “{label}”',
+    'error.certificateSectionMissing': 'The patient has no “{label}” section filled in. Save the data before generating.',
+    'error.certificateFailed': 'Document generation failed: {reason}',
+    'error.passwordNotSet': 'The password is not set',
+    'error.wrongPassword': 'Wrong password',
+    'error.sheetMissing': 'The sheet does not exist',
+    'error.patientNotFound': 'The patient with ID {id} was not found in the database.',
+    'error.unknownFormat': 'Unknown format: {format}',
+    'error.noPatientsInRange': 'No patients were found in the specified date range.',
+    'error.noPatientData': 'No patient data is available',
+    'error.noReferralsInRange': 'No referrals or prescriptions were found in the specified date range.',
+    'error.exportFailed': 'Export failed: {reason}',
+    'error.reportFailed': 'Report failed: {reason}',
+    'error.conversionFailed': 'Conversion to {format} failed (HTTP {status})',
+    'error.invalidDecision': 'Invalid decision: {decision}',
+    'error.selfLink': 'A patient cannot be linked to themselves',
+    'error.noIdFixes': 'There are no fixes to apply',
+    'error.idProposalExpired': 'The proposal is no longer valid; run the check again',
+    'error.uidColumnMissing': 'The {column} column is missing; run the check again',
+    'error.eraseUidMissing': 'Some visits have no {column} yet; run the ID check before erasing',
+    'error.scheduleNameMissing': 'Enter a name for the schedule',
+    'error.invalidFrequency': 'Invalid frequency: {frequency}',
+    'error.invalidWindow': 'Invalid period: {window}',
+    'error.recipientsMissing': 'Enter at least one recipient',
+    'error.invalidEmails': 'Invalid email addresses: {emails}',
+    'error.scheduleNotFound': 'The schedule was not found',
+    'error.schemaMismatch': 'The sheet layout does not match the schema ({problems}). Writing was blocked.',
+    'error.idColumnMissing': 'The sheet layout does not match the schema (the "ID" column is missing).',
+    'error.invalidDateRange': 'Invalid date range',
+    'error.searchCriteriaMissing': 'Fill in at least one search field',
+    'error.deleteCriteriaMissing': 'Specify the IDs or the time range to delete',
+    'error.noPatientsForCriteria': 'No patients were found for the specified criteria',
+    'error.nothingSelected': 'No record was selected',
+    'error.idInUse': 'ID {id} is already used in the database',
+    'error.unknownStatus': 'Unknown status: {status}',
+    'error.emailConsentMissing': 'The patient has not consented to receiving email',
+    'error.emailConsentAddressChanged': 'Consent was not given for the current email address; record it again',
+    'error.patientEmailInvalid': 'The patient has no valid email address',
+    'error.patientEmailFailed': 'The email to the patient could not be sent: {reason}',
+    'error.apiUnauthorized': 'Missing or invalid API token',
+    'error.apiUnknownVersion': 'Unknown API version: {version}',
+    'error.apiUnknownAction': 'Unknown API action: {action}',
+    'error.apiMethodNotAllowed': 'The {action} action does not accept the {method} method',
+    'error.apiInvalidBody': 'The request body is not a valid JSON object',
+    'error.apiParameterMissing': 'The {name} parameter is missing',
+    'error.validationFailed': 'The patient data is not valid',
+    'error.saveConflict': 'The patient was changed in the meantime (current version {version})',
+    'error.internal': 'Internal error',
+    'error.notDuplicate': 'Visit {id} is not marked as a duplicate',
+    'error.safetyAlertsUnacknowledged': 'Saving requires acknowledging {count} safety alerts',
+
+    'schema.missingColumn': 'the "{header}" column is missing',
+    'schema.duplicateColumn': 'the "{header}" column appears {count} times',
+    'schema.editableOrder': 'the editable columns are not consecutive in the order {headers}',
+
+    'validation.btCasFormat': 'BT CAS {index} must have the format {example}',
+    'validation.btCasType': 'Invalid type for BT CAS {index}: {type}',
+    'validation.btCasIncomplete': 'Fill in all the fields for BT CAS {index} (Series/Number, Specialty, Type)',
+    'validation.rpGratuitaFormat': 'The free prescription must have the format {example}',
+    'validation.rangeStartMissing': 'Fill in the start date for the {range}',
+    'validation.rangeEndMissing': 'Fill in the end date for the {range}',
+    'validation.rangeStartInvalid': 'The start date for the {range} is invalid',
+    'validation.rangeEndInvalid': 'The end date for the {range} is invalid',
+    'validation.rangeOrder': 'The end date for the {range} cannot be before the start date',
+    'validation.unknownCodes': 'Unknown disease codes: {codes}',
+    'validation.notNumber': '{label} must be a number',
+    'validation.outOfRange': '{label} must be between {min} and {max} {unit}',
+    'validation.heightMissing': 'Enter the height',
+    'validation.weightMissing': 'Enter the weight',
+    'validation.ebCodesMissing': 'Enter the disease codes',
+    'validation.serialRepeated': 'Serial {serial} is used twice for this patient',
+    'validation.serialUsed': 'Serial {serial} was already used for the patient with ID {id}',
+
+    'range.absence': 'absence exemption',
+    'range.sport': 'sports exemption',
+
+    'measure.height': 'The height',
+    'measure.weight': 'The weight',
+
+    'access.deniedTitle': 'Access denied',
+    'access.deniedBody': 'Your account does not have access to the medical register.',
+
+    'report.subject': 'UMF Medical Register reports ({start} - {end})',
+    'report.title': 'Medical Register Report',
+    'report.totalPatients': 'Total number of patients in the period:',
+    'report.codes': 'Disease codes:',
+    'report.uniqueCodes': 'Unique codes: {count}',
+    'report.totalCodes': 'Total code occurrences: {count}',
+    'report.ebCodes': 'Check-up disease codes:',
+    'report.noEbCodes': 'No check-up codes used',
+    'report.prescriptions': 'Prescription types:',
+    'report.sheetNote': 'The details are also in the {sheet} spreadsheet.',
+    'report.duration': 'Generated in {seconds} seconds',
+    'report.patientCount': '{count} patients',
+    'report.byDimension': 'By {dimension}:',
+    'report.visits': 'Visits',
+    'report.topCodes': 'Frequent codes',
+    'report.trend': 'Visits over time:',
+    'report.weekStarting': 'Week starting',
+    'report.day': 'Day',
+    'report.sheetDimension': 'Dimension',
+    'report.sheetGroup': 'Group',
+    'report.sheetWeek': 'Week',
+    'report.sheetDay': 'Day',
+    'report.unknown': 'Unknown',
+
+    'dimension.faculty': 'Faculty',
+    'dimension.year': 'Year of study',
+    'dimension.language': 'Language',
+    'dimension.gender': 'Gender',
+    'dimension.ageBand': 'Age group',
+
+    'ageBand.under20': 'under 20',
+
+    'counter.rpIntegrala': 'Full-price prescriptions',
+    'counter.rpGratuita': 'Free prescriptions',
+    'counter.btCas': 'BT CAS referrals (total 1-3)',
+    'counter.btSimplu': 'Simple referrals',
+    'counter.amAbsenta': 'Absence exemptions',
+    'counter.amSport': 'Sports exemptions',
+    'counter.amAlt': 'Certificates for other purposes',
+    'counter.amBursa': 'Medical scholarship certificates',
+    'counter.aeAviz': 'Epidemiological clearances',
+    'counter.ebInaltime': 'Check-ups',
+
+    'bmi.underweight': 'Underweight (< 18.5)',
+    'bmi.normal': 'Normal (18.5 - 24.9)',
+    'bmi.overweight': 'Overweight (25 - 29.9)',
+    'bmi.obese': 'Obese (≥ 30)',
+
+    'referrals.title': 'Referrals and free prescriptions:',
+    'referrals.bySpecialty': 'BT CAS by specialty:',
+    'referrals.specialty': 'Specialty',
+    'referrals.total': 'Total',
+    'referrals.duplicates': 'Serials used more than once:',
+    'referrals.duplicateLine': '{kind} {serial} (ID {id}) - also used for: {others}',
+    'referrals.samePatient': '{field} (same patient)',
+    'referrals.unknownSpecialty': 'Unknown',
+
+    'referralKind.btCas': 'BT CAS',
+    'referralKind.rpGratuita': 'Free prescription',
+
+    'btCasType.Acut': 'Acute',
+    'btCasType.Cronic': 'Chronic',
+
+    'referralLog.document': 'Document',
+    'referralLog.series': 'Series',
+    'referralLog.number': 'Number',
+    'referralLog.specialty': 'Specialty',
+    'referralLog.type': 'Type',
+    'referralLog.date': 'Date',
+    'referralLog.patientId': 'Patient ID',
+    'referralLog.name': 'Name',
+    'referralLog.notes': 'Notes',
+    'referralLog.invalidFormat': 'invalid format',
+    'referralLog.duplicate': 'serial also used for: {others}',
+
+    'export.number': 'No.',
+    'export.day': 'Date',
+    'export.name': 'Full name',
+    'export.age': 'Age',
+    'export.gender': 'Gender',
+    'export.address': 'Address',
+    'export.occupation': 'Occupation',
+    'export.symptoms': 'Symptoms',
+    'export.diagnosis': 'Diagnosis',
+    'export.code': 'Code',
+    'export.prescriptions': 'Prescriptions',
+
+    'visitEmail.subject': 'Summary of your visit on {date}',
+    'visitEmail.greeting': 'Hello {name},',
+    'visitEmail.intro': 'Here is the summary of your visit to the medical office on {date}.',
+    'visitEmail.diagnosis': 'Diagnosis',
+    'visitEmail.codes': 'Disease codes',
+    'visitEmail.prescriptions': 'Prescriptions',
+    'visitEmail.referrals': 'Referrals',
+    'visitEmail.referral': 'BT CAS {serial}: {specialty}, {type}',
+    'visitEmail.exemptions': 'Exemptions and certificates',
+    'visitEmail.absence': 'Absence exemption',
+    'visitEmail.sport': 'Sports exemption',
+    'visitEmail.period': '{label}: {start} - {end}',
+    'visitEmail.attachments': 'Attached medical certificates: no. {numbers}.',
+    'visitEmail.footer': 'You are receiving this email because you agreed to receive the summary of your visit. For any questions, please contact the medical office.',
+
+    'privacy.bundle.title': 'Personal data held about you',
+    'privacy.bundle.generatedAt': 'Generated on {date}',
+    'privacy.bundle.visit': 'Visit no. {id} on {date}',
+    'privacy.bundle.revisions': 'Change history',
+    'privacy.bundle.certificates': 'Medical documents issued',
+    'privacy.bundle.emails': 'Emails sent',
+    'privacy.bundle.none': 'None.',
+    'privacy.erased': 'Copies removed from the trash: {trashed}; PDF documents removed: {files}',
+    'privacy.retention': 'Retention policy ({mode}, {years} years): visits before {cutoff}; trashed copies cleaned: {trashed}',
+    'privacy.trashScrubbed': 'Trashed copies cleaned: {trashed}',
+
+    'field.diagnosis': 'Diagnosis',
+    'field.codes1': 'Disease codes',
+    'field.rpIntegrala': 'Full-price prescription',
+    'field.rpGratuita': 'Free prescription',
+    'field.btCas1': 'BT CAS 1',
+    'field.btCas2': 'BT CAS 2',
+    'field.btCas3': 'BT CAS 3',
+    'field.specialitate1': 'BT CAS 1 specialty',
+    'field.tip1': 'BT CAS 1 type',
+    'field.specialitate2': 'BT CAS 2 specialty',
+    'field.tip2': 'BT CAS 2 type',
+    'field.specialitate3': 'BT CAS 3 specialty',
+    'field.tip3': 'BT CAS 3 type',
+    'field.btSimplu': 'Simple referral',
+    'field.amAbsenta': 'Absence exemption',
+    'field.amAbsentaStart': 'Absence exemption from',
+    'field.amAbsentaEnd': 'Absence exemption until',
+    'field.amSport': 'Sports exemption',
+    'field.amSportStart': 'Sports exemption from',
+    'field.amSportEnd': 'Sports exemption until',
+    'field.amAlt': 'Other purpose',
+    'field.amBursa': 'Medical scholarship',
+    'field.aeAviz': 'Epidemiological clearance',
+    'field.ebInaltime': 'Height (cm)',
+    'field.ebGreutate': 'Weight (kg)',
+    'field.ebIMC': 'BMI',
+    'field.codes2': 'Check-up disease codes',
+
+    'prescription.rpIntegrala': 'Full-price Rx',
+    'prescription.rpGratuita': 'Free Rx',
+    'prescription.btCas1': 'BT CAS1',
+    'prescription.btCas2': 'BT CAS2',
+    'prescription.btCas3': 'BT CAS3',
+    'prescription.btSimplu': 'Simple referral',
+    'prescription.amAbsenta': 'MC Absence',
+    'prescription.amSport': 'MC Sports',
+    'prescription.amAlt': 'MC Other',
+    'prescription.amBursa': 'MC Scholarship',
+    'prescription.aeAviz': 'Epidemiological clearance',
+    'prescription.eb': 'Check-up: {height} cm | {weight} kg | BMI {bmi} | Codes: {codes}',
+
+    'certificate.amAbsenta': 'Medical certificate - absence exemption',
+    'certificate.amSport': 'Medical certificate - sports exemption',
+    'certificate.amAlt': 'Medical certificate',
+    'certificate.amBursa': 'Medical certificate for a scholarship',
+    'certificate.aeAviz': 'Epidemiological clearance',
+
+    'idIssue.blank': 'Missing or invalid ID',
+    'idIssue.duplicate': 'Duplicate ID',
+    'idIssue.order': 'ID out of order',
+    'idIssue.gap': 'Gap in the numbering',
+    'idIssue.timestamp': 'Timestamp out of order',
+    'idIssue.value': 'value: "{value}"',
+    'idIssue.sameAs': 'same ID as row {row}',
+    'idIssue.after': 'after ID {id}',
+    'idIssue.missing': '{count} IDs missing between {from} and {to}',
+    'idIssue.before': 'before {date}',
+    'idIssue.noFreeId': '{details}; no free ID fits between the neighbouring rows, needs a manual check',
+
+    'alert.idIssuesSubject': 'ID check: {count} issues found',
+    'alert.idIssuesTitle': 'ID integrity check',
+    'alert.idIssuesSummary': 'The check of {date} found {issues} issues, {pending} of which have a proposed fix.',
+    'alert.idIssuesNote': 'No change has been applied. Fixes are applied only after approval, from the register\'s “ID integrity” panel.',
+    'alert.scheduleFailedSubject': 'Scheduled report failed: {name}',
+    'alert.scheduleFailed': 'The scheduled report “{name}” could not be sent.',
+    'alert.error': 'Error: {error}',
+
+    'status.waiting': 'Waiting',
+    'status.in_progress': 'In consultation',
+    'status.done': 'Done',
+
+    'ui.language': 'Interface language',
+    'ui.toolbar.refresh': 'Reload',
+    'ui.toolbar.worklist': 'List',
+    'ui.save': 'Save',
+    'ui.toolbar.saveNext': 'Save and next',
+    'ui.toolbar.saveNextTitle': 'Save and go to the next patient (Ctrl+Enter)',
+    'ui.dirty': '● Unsaved changes',
+    'ui.dirtyNoDraft': '● Unsaved changes (the draft could not be kept)',
+    'ui.toolbar.search': 'Search',
+    'ui.toolbar.history': 'History',
+    'ui.toolbar.certificate': 'Document',
+    'ui.toolbar.email': 'Email',
+    'ui.toolbar.previousDay': 'Previous day',
+    'ui.toolbar.nextDay': 'Next day',
+    'ui.page': 'Page',
+    'ui.pageOf': 'of',
+    'ui.toolbar.export': 'Export',
+    'ui.toolbar.report': 'Report',
+    'ui.toolbar.schedules': 'Schedules',
+    'ui.toolbar.stats': 'Statistics',
+    'ui.toolbar.integrity': 'ID integrity',
+    'ui.toolbar.privacy': 'GDPR',
+    'ui.delete': 'Delete',
+    'ui.cancel': 'Cancel',
+    'ui.confirm': 'Confirm',
+    'ui.close': 'Close',
+    'ui.startDate': 'Start date',
+    'ui.endDate': 'End date',
+    'ui.name': 'Name',
+    'ui.yes': 'Yes',
+    'ui.no': 'No',
+    'ui.datesMissing': 'Please fill in both dates',
+    'ui.dateOrder': 'The end date / time cannot be before the start date / time',
+    'ui.layoutErrors': 'The sheet layout does not match the schema: {problems}. Saving is disabled.',
+    'ui.missingInput': 'the form has no "{field}" input',
+    'ui.unknownCode': '{code} - unknown code',
+    'ui.search.title': 'Patient search',
+    'ui.search.name': 'Full name',
+    'ui.search.namePlaceholder': 'Enter the full name',
+    'ui.search.idPlaceholder': 'Enter the visit ID',
+    'ui.search.emailPlaceholder': 'Enter the email',
+    'ui.search.phone': 'Phone',
+    'ui.search.phonePlaceholder': 'Enter the phone number',
+    'ui.search.codesPlaceholder': 'e.g. 12 45',
+    'ui.search.diagnosisPlaceholder': 'Keywords from the diagnosis',
+    'ui.search.facultyPlaceholder': 'Enter the faculty',
+    'ui.search.yearPlaceholder': 'e.g. 3',
+    'ui.search.searching': 'Searching...',
+    'ui.search.none': 'No results found',
+    'ui.search.foundOne': 'Found 1 result',
+    'ui.search.foundMany': 'Found {count} results',
+    'ui.codes': 'Disease codes',
+    'ui.diagnosis': 'Diagnosis',
+    'ui.faculty': 'Faculty',
+    'ui.studyYear': 'Year of study',
+    'ui.export.title': 'Patient export',
+    'ui.export.content': 'Content',
+    'ui.export.patients': 'Patient register',
+    'ui.export.referrals': 'BT CAS and free prescription register',
+    'ui.export.pdf': 'PDF for printing',
+    'ui.export.language': 'Header language',
+    'ui.export.running': 'Exporting patients...',
+    'ui.export.runningReferrals': 'Exporting the referral and prescription register...',
+    'ui.export.done': 'Export completed',
+    'ui.report.title': 'Patient report',
+    'ui.report.language': 'Report language',
+    'ui.report.running': 'Building the report...',
+    'ui.report.done': 'Report completed',
+    'ui.history.title': 'Change history',
+    'ui.history.loading': 'Loading history...',
+    'ui.history.empty': 'No changes are recorded for this patient',
+    'ui.history.restoreTag': 'restore',
+    'ui.history.restore': 'Restore',
+    'ui.history.field': 'Field',
+    'ui.history.before': 'Before',
+    'ui.history.after': 'After',
+    'ui.history.confirmRestore': 'Restore the patient to this version?',
+    'ui.history.restoring': 'Restoring the version...',
+    'ui.history.restored': 'Version restored',
+    'ui.certificate.title': 'Medical documents',
+    'ui.certificate.type': 'Document type',
+    'ui.certificate.generate': 'Generate PDF',
+    'ui.certificate.noTemplate': '{label} (no template)',
+    'ui.certificate.empty': 'No documents have been issued for this patient',
+    'ui.certificate.entry': 'No. {number} - {issuedAt} - {issuedBy}',
+    'ui.certificate.generating': 'Generating the document...',
+    'ui.certificate.generated': 'Document no. {number} was generated',
+    'ui.email.title': 'Email to the patient',
+    'ui.email.recipient': 'Recipient: {email}',
+    'ui.email.noAddress': 'The patient has no email address',
+    'ui.email.consent': 'The patient agrees to receive the visit summary by email',
+    'ui.email.consentGiven': 'Consent recorded on {date}',
+    'ui.email.consentOtherAddress': 'The consent of {date} was given for another email address; tick it again for the current address',
+    'ui.email.consentSaved': 'Consent was updated',
+    'ui.email.language': 'Email language',
+    'ui.email.send': 'Send summary',
+    'ui.email.sending': 'Sending the email...',
+    'ui.email.sent': 'The email was sent to {recipient}',
+    'ui.email.empty': 'No emails have been sent for this patient',
+    'ui.email.entry': '{timestamp} / {user} / {recipient}',
+    'ui.email.attachments': 'Attachments: {numbers}',
+    'ui.email.status.sent': 'Sent',
+    'ui.email.status.blocked': 'Blocked',
+    'ui.email.status.failed': 'Failed',
+    'ui.schedule.title': 'Scheduled reports',
+    'ui.schedule.namePlaceholder': 'e.g. Monthly management report',
+    'ui.schedule.recipients': 'Recipients',
+    'ui.schedule.recipientsPlaceholder': 'e.g. a@umf.ro, b@umf.ro',
+    'ui.schedule.frequency': 'Frequency',
+    'ui.schedule.window': 'Reported period',
+    'ui.schedule.interval': 'Period',
+    'ui.schedule.lastRun': 'Last run',
+    'ui.schedule.enabled': 'Active',
+    'ui.schedule.inactive': '(inactive)',
+    'ui.schedule.new': 'New schedule',
+    'ui.schedule.empty': 'There are no scheduled reports',
+    'ui.schedule.edit': 'Edit',
+    'ui.schedule.runNow': 'Run now',
+    'ui.schedule.saved': 'Schedule saved',
+    'ui.schedule.confirmDelete': 'Delete the "{name}" schedule?',
+    'ui.schedule.deleted': 'Schedule deleted',
+    'ui.schedule.sending': 'Sending the report...',
+    'ui.schedule.sent': 'Report sent',
+    'ui.frequency.weekly': 'Weekly',
+    'ui.frequency.monthly': 'Monthly',
+    'ui.frequency.yearly': 'Yearly',
+    'ui.frequencyOption.weekly': 'Weekly (Monday)',
+    'ui.frequencyOption.monthly': 'Monthly (on the 1st)',
+    'ui.frequencyOption.yearly': 'Yearly (1 January)',
+    'ui.window.previous_week': 'Previous week',
+    'ui.window.previous_month': 'Previous month',
+    'ui.window.previous_year': 'Previous year',
+    'ui.window.last_7_days': 'Last 7 days',
+    'ui.window.last_30_days': 'Last 30 days',
+    'ui.windowOption.previous_week': 'Previous calendar week',
+    'ui.windowOption.previous_month': 'Previous calendar month',
+    'ui.windowOption.previous_year': 'Previous calendar year',
+    'ui.merge.title': 'Save conflict',
+    'ui.merge.intro': 'The patient was changed by another user after you opened it. Choose which version to keep for each field.',
+    'ui.merge.allTheirs': 'All saved',
+    'ui.merge.allMine': 'All mine',
+    'ui.merge.mine': 'My version',
+    'ui.merge.theirs': 'Saved version',
+    'ui.merge.keep': 'Keep',
+    'ui.merge.optionMine': 'Mine',
+    'ui.merge.optionTheirs': 'Saved',
+    'ui.merge.optionCombine': 'Combine',
+    'ui.integrity.title': 'ID integrity',
+    'ui.integrity.intro': 'The check changes nothing. Proposed IDs are applied only after confirmation, and gaps in the numbering are never closed.',
+    'ui.integrity.run': 'Check now',
+    'ui.integrity.apply': 'Apply fixes',
+    'ui.integrity.checking': 'Checking IDs...',
+    'ui.integrity.found': 'Found {count} issues',
+    'ui.integrity.none': 'No issues found',
+    'ui.integrity.lastClean': 'The last check ({date}) found no issues',
+    'ui.integrity.never': 'No check has been run',
+    'ui.integrity.summary': 'Check of {date}: {issues} issues, {pending} pending fixes',
+    'ui.integrity.row': 'Row',
+    'ui.integrity.issue': 'Issue',
+    'ui.integrity.details': 'Details',
+    'ui.integrity.currentId': 'Current ID',
+    'ui.integrity.proposedId': 'Proposed ID',
+    'ui.integrity.status': 'Status',
+    'ui.integrity.confirmApply': 'Apply the proposed IDs? The changes are recorded in each patient\'s history.',
+    'ui.integrity.applying': 'Applying fixes...',
+    'ui.integrity.applied': 'Fixes applied: {applied}, skipped: {skipped}',
+    'ui.delete.title': 'Delete patients',
+    'ui.delete.scope': 'What to delete',
+    'ui.delete.current': 'Current patient',
+    'ui.delete.ids': 'Patients with the IDs',
+    'ui.delete.range': 'Patients in the period',
+    'ui.delete.all': 'The whole database',
+    'ui.delete.idsLabel': 'IDs',
+    'ui.delete.idsPlaceholder': 'e.g. 12, 15, 20',
+    'ui.delete.allWarning': 'Warning! This action is permanent and cannot be undone. A backup copy of the database is created automatically.',
+    'ui.delete.password': 'Password',
+    'ui.delete.passwordPlaceholder': 'Enter the password to confirm',
+    'ui.delete.trashNote': 'Deleted records are moved to the trash and can be restored.',
+    'ui.noPatient': 'No patient is selected',
+    'ui.delete.idsMissing': 'Enter at least one ID',
+    'ui.delete.trashed': '{count} records were moved to the trash',
+    'ui.delete.done': 'Deletion completed',
+    'ui.delete.doneBackup': 'Deletion completed. Backup copy: {name}',
+    'ui.trash': 'Trash',
+    'ui.trash.restoreSelected': 'Restore selected',
+    'ui.trash.empty': 'The trash is empty',
+    'ui.trash.visit': 'Visit',
+    'ui.trash.deletedBy': 'Deleted by',
+    'ui.trash.deletedAt': 'Deleted at',
+    'ui.trash.expiresAt': 'Expires at',
+    'ui.trash.nothingSelected': 'Select at least one record',
+    'ui.trash.restored': '{count} records were restored',
+    'ui.privacy.title': 'Personal data (GDPR)',
+    'ui.privacy.intro': 'Visits found for the current patient by email, phone and name. Tick only the visits that belong to the same person.',
+    'ui.privacy.loading': 'Looking up the person\'s visits...',
+    'ui.privacy.email': 'Email',
+    'ui.privacy.phone': 'Phone',
+    'ui.privacy.matchedBy': 'Match',
+    'ui.privacy.current': 'current visit',
+    'ui.privacy.format': 'Export format',
+    'ui.privacy.export': 'Export data',
+    'ui.privacy.pseudonymize': 'Pseudonymize',
+    'ui.privacy.erase': 'Erase permanently',
+    'ui.privacy.working': 'Processing the request...',
+    'ui.privacy.exported': 'The person\'s data was exported',
+    'ui.privacy.confirmPseudonymize': 'Replace the name, email, phone and address on {count} visits with a pseudonym? Clinical data is kept. This cannot be undone.',
+    'ui.privacy.confirmErase': 'Permanently erase {count} visits, without a copy in the trash? This cannot be undone.',
+    'ui.privacy.pseudonymized': '{count} visits were pseudonymized ({subject})',
+    'ui.privacy.erased': '{count} visits were permanently erased',
+    'ui.duplicate.title': 'Duplicate submission',
+    'ui.duplicate.intro': 'The form seems to have been submitted twice. Merging fills the empty fields of the original visit with what was entered on the copy and leaves the copy out of reports and exports.',
+    'ui.duplicate.compare': 'Compare',
+    'ui.duplicate.merge': 'Merge into the original',
+    'ui.duplicate.dismiss': 'Not a duplicate',
+    'ui.duplicate.copy': 'Copy',
+    'ui.duplicate.original': 'Original',
+    'ui.duplicate.badge': 'Possible duplicate',
+    'ui.duplicate.confirmedBadge': 'Duplicate',
+    'ui.duplicate.suspected': 'Possible duplicate of visit {id}',
+    'ui.duplicate.confirmed': 'Duplicate merged into visit {id}; left out of reports and exports',
+    'ui.duplicate.saveFirst': 'Save or discard your changes before merging',
+    'ui.duplicate.merged': 'The copy was merged into visit {id}',
+    'ui.duplicate.dismissed': 'The visit is no longer marked as a duplicate',
+    'ui.safety.title': 'Safety alerts',
+    'ui.safety.intro': 'The prescription contains drugs flagged for the patient\'s allergies or chronic diseases. Saving continues only once every alert is acknowledged, and the acknowledgement is recorded.',
+    'ui.safety.confirm': 'I have reviewed the alerts and keep the prescription',
+    'ui.safety.review': 'Review the prescription',
+    'ui.safety.acknowledge': 'Save with acknowledged alerts',
+    'ui.safety.pending': 'Acknowledge {count} safety alerts before saving',
+    'ui.safety.alert': '{drug} is flagged for {source}: {keyword}.',
+    'ui.safety.drug': 'Drug',
+    'ui.safety.reason': 'Reason',
+    'ui.safety.source.allergy': 'allergy',
+    'ui.safety.source.chronic': 'chronic disease',
+    'ui.stats.title': 'Statistics',
+    'ui.stats.last7': 'Last 7 days',
+    'ui.stats.last30': 'Last 30 days',
+    'ui.stats.last90': 'Last 90 days',
+    'ui.stats.thisYear': 'This year',
+    'ui.stats.custom': 'Custom range',
+    'ui.stats.show': 'Show',
+    'ui.stats.back': 'Back to the register',
+    'ui.stats.loading': 'Computing statistics...',
+    'ui.stats.period': 'Period {start} - {end}',
+    'ui.stats.visits': 'Visits',
+    'ui.stats.codes': 'Disease codes recorded',
+    'ui.stats.uniqueCodes': 'Distinct codes',
+    'ui.stats.bmiMeasured': 'Check-ups with a BMI',
+    'ui.stats.byDay': 'Visits per day',
+    'ui.stats.byWeek': 'Visits per week',
+    'ui.stats.byHour': 'Visits per hour',
+    'ui.stats.topCodes': 'Most frequent codes',
+    'ui.stats.prescriptions': 'Prescriptions and referrals',
+    'ui.stats.certificates': 'Certificates and clearances',
+    'ui.stats.faculty': 'Faculty',
+    'ui.stats.year': 'Year of study',
+    'ui.stats.bmi': 'BMI distribution in check-ups',
+    'ui.stats.empty': 'No data for this period',
+    'ui.worklist.title': 'Worklist',
+    'ui.worklist.allStatuses': 'All statuses',
+    'ui.worklist.allGenders': 'All genders',
+    'ui.worklist.allFaculties': 'All faculties',
+    'ui.worklist.currentStatus': 'Current patient status',
+    'ui.worklist.automatic': 'Automatic',
+    'ui.worklist.hint': 'Alt+N: next waiting patient',
+    'ui.worklist.noMatch': 'No patient matches the filters',
+    'ui.worklist.empty': 'No patients are loaded',
+    'ui.worklist.noWaiting': 'There are no other waiting patients in the loaded list',
+    'ui.worklist.statusUpdated': 'Status updated: {status}',
+    'ui.worklist.newOne': '1 new patient arrived',
+    'ui.worklist.newMany': '{count} new patients arrived',
+    'ui.today': 'today',
+    'ui.onDate': 'on {date}',
+    'ui.loadingPatients': 'Loading patients {label}...',
+    'ui.noPatientsFor': 'No patients registered {label}',
+    'ui.loadedOne': 'Loaded 1 patient',
+    'ui.loadedMany': 'Loaded {count} patients',
+    'ui.noPatientToSave': 'No patient is selected to save',
+    'ui.invalidData': 'Invalid data format',
+    'ui.saving': 'Saving...',
+    'ui.saveConflict': 'The patient was changed by another user in the meantime',
+    'ui.saved': 'Patient data saved',
+    'ui.invalidOne': 'Not saved: 1 field needs correcting',
+    'ui.invalidMany': 'Not saved: {count} fields need correcting',
+    'ui.draftRestoredStale': 'Restored the draft from {date}, but the patient was saved in the meantime. Check the data before saving.',
+    'ui.draftRestored': 'Restored the unsaved draft from {date}',
+    'ui.leaveWithDraft': 'The current patient has unsaved changes. They stay saved as a draft on this device and are restored when you come back. Continue?',
+    'ui.leaveWithoutDraft': 'The current patient has unsaved changes that could not be kept as a draft and will be lost. Continue?',
+    'ui.section.patientInfo': 'Patient information',
+    'ui.column.visit': 'ID / Visit date and time',
+    'ui.column.basic': 'Name / Age / Gender',
+    'ui.column.contact': 'Email / Phone',
+    'ui.column.education': 'Faculty / Year / Language',
+    'ui.section.medicalHistory': 'Medical history',
+    'ui.lastMenstruation': 'First day of the last period:',
+    'ui.item.symptoms': 'Symptoms / Reason for visit',
+    'ui.item.treatment': 'Current treatment',
+    'ui.item.chronic': 'Chronic diseases',
+    'ui.item.allergies': 'Allergies',
+    'ui.section.previousVisits': 'Previous visits',
+    'ui.section.diagnosis': 'Medical diagnosis',
+    'ui.section.prescription': 'Prescription',
+    'ui.section.referral': 'Referral',
+    'ui.section.certificate': 'Medical certificate',
+    'ui.section.checkup': 'Check-up',
+    'ui.diagnosisPlaceholder': 'Enter the diagnosis',
+    'ui.codesPlaceholder': 'Enter the disease codes',
+    'ui.dataPlaceholder': 'Enter the details',
+    'ui.rpGratuitaPlaceholder': 'e.g. ABCDEF 12345',
+    'ui.btCasPlaceholder': 'e.g. ABCDE 1234567',
+    'ui.btCasSerial1': 'BT CAS 1 Series / Number',
+    'ui.btCasSerial2': 'BT CAS 2 Series / Number',
+    'ui.btCasSerial3': 'BT CAS 3 Series / Number',
+    'ui.specialty': 'Specialty',
+    'ui.selectSpecialty': 'Select the specialty',
+    'ui.type': 'Type',
+    'ui.selectType': 'Select the type',
+    'ui.until': 'until',
+    'ui.heightPlaceholder': 'Enter the height',
+    'ui.weightPlaceholder': 'Enter the weight',
+    'ui.bmiPlaceholder': 'Calculated automatically',
+    'ui.timeline.loading': 'Loading previous visits...',
+    'ui.timeline.empty': 'There are no other visits for this patient',
+    'ui.timeline.matchEmail': 'email',
+    'ui.timeline.matchPhone': 'phone',
+    'ui.timeline.matchName': 'name',
+    'ui.timeline.confirmed': '(confirmed manually)',
+    'ui.timeline.matched': '(matched on: {keys})',
+    'ui.timeline.same': 'Same person',
+    'ui.timeline.different': 'Different person',
+    'ui.timeline.prescriptions': 'Prescriptions',
+    'ui.timeline.bmiTrend': 'BMI trend: {points}',
+    'ui.timeline.linkSaved': 'Link saved'
+  },
+  fr: {
+    'error.unknownAction': 'Action inconnue : {action}',
+    'error.accessDenied': 'Accès refusé : vous n\'avez pas les droits pour cette action',
+    'error.unknownLanguage': 'Langue inconnue : {language}',
+    'error.revisionNotFound': 'La révision {revision} est introuvable pour le patient {id}',
+    'error.unknownCertificateType': 'Type de document inconnu : {type}',
+    'error.certificateTemplateMissing': 'Aucun modèle n\'est configuré pour « {label} »',
+    'error.certificateSectionMissing': 'La section « {label} » du patient n\'est pas remplie. Enregistrez les données avant la génération.',
+    'error.certificateFailed': 'Échec de la génération du document : {reason}',
+    'error.passwordNotSet': 'Le mot de passe n\'est pas défini',
+    'error.wrongPassword': 'Mot de passe incorrect',
+    'error.sheetMissing': 'La feuille n\'existe pas',
+    'error.patientNotFound': 'Le patient avec l\'ID {id} est introuvable dans la base de données.',
+    'error.unknownFormat': 'Format inconnu : {format}',
+    'error.noPatientsInRange': 'Aucun patient n\'a été trouvé dans la période indiquée.',
+    'error.noPatientData': 'Aucune donnée patient n\'est disponible',
+    'error.noReferralsInRange': 'Aucune lettre d\'orientation ni ordonnance n\'a été trouvée dans la période indiquée.',
+    'error.exportFailed': 'Échec de l\'export : {reason}',
+    'error.reportFailed': 'Échec du rapport : {reason}',
+    'error.conversionFailed': 'La conversion en {format} a échoué (HTTP {status})',
+    'error.invalidDecision': 'Décision invalide : {decision}',
+    'error.selfLink': 'Un patient ne peut pas être lié à lui-même',
+    'error.noIdFixes': 'Il n\'y a aucune correction à appliquer',
+    'error.idProposalExpired': 'La proposition n\'est plus valable ; relancez la vérification',
+    'error.uidColumnMissing': 'La colonne {column} est absente ; relancez la vérification',
+    'error.eraseUidMissing': 'Certaines visites n\'ont pas encore de {column} ; lancez la vérification des ID avant l\'effacement',
+    'error.scheduleNameMissing': 'Saisissez un nom pour la planification',
+    'error.invalidFrequency': 'Fréquence invalide : {frequency}',
+    'error.invalidWindow': 'Période invalide : {window}',
+    'error.recipientsMissing': 'Saisissez au moins un destinataire',
+    'error.invalidEmails': 'Adresses e-mail invalides : {emails}',
+    'error.scheduleNotFound': 'La planification est introuvable',
+    'error.schemaMismatch': 'La structure de la feuille ne correspond pas au schéma ({problems}). L’écriture a été bloquée.',
+    'error.idColumnMissing': 'La structure de la feuille ne correspond pas au schéma (la colonne « ID » est absente).',
+    'error.invalidDateRange': 'Période invalide',
+    'error.searchCriteriaMissing': 'Remplissez au moins un champ de recherche',
+    'error.deleteCriteriaMissing': 'Indiquez les ID ou la période à supprimer',
+    'error.noPatientsForCriteria': 'Aucun patient n\'a été trouvé pour les critères indiqués',
+    'error.nothingSelected': 'Aucun enregistrement n\'a été sélectionné',
+    'error.idInUse': 'L\'ID {id} est déjà utilisé dans la base de données',
+    'error.unknownStatus': 'État inconnu : {status}',
+    'error.emailConsentMissing': 'Le patient n\'a pas consenti à recevoir des e-mails',
+    'error.emailConsentAddressChanged': 'Le consentement n\'a pas été donné pour l\'adresse e-mail actuelle ; enregistrez-le à nouveau',
+    'error.patientEmailInvalid': 'Le patient n\'a pas d\'adresse e-mail valide',
+    'error.patientEmailFailed': 'L\'e-mail au patient n\'a pas pu être envoyé : {reason}',
+    'error.apiUnauthorized': 'Jeton API manquant ou invalide',
+    'error.apiUnknownVersion': 'Version d\'API inconnue : {version}',
+    'error.apiUnknownAction': 'Action API inconnue : {action}',
+    'error.apiMethodNotAllowed': 'L\'action {action} n\'accepte pas la méthode {method}',
+    'error.apiInvalidBody': 'Le corps de la requête n\'est pas un objet JSON valide',
+    'error.apiParameterMissing': 'Le paramètre {name} est manquant',
+    'error.validationFailed': 'Les données du patient ne sont pas valides',
+    'error.saveConflict': 'Le patient a été modifié entre-temps (version actuelle {version})',
+    'error.internal': 'Erreur interne',
+    'error.notDuplicate': 'La visite {id} n\'est pas marquée comme doublon',
+    'error.safetyAlertsUnacknowledged': 'L\'enregistrement nécessite la confirmation de {count} alertes de sécurité',
+
+    'schema.missingColumn': 'la colonne « {header} » est absente',
+    'schema.duplicateColumn': 'la colonne « {header} » apparaît {count} fois',
+    'schema.editableOrder': 'les colonnes modifiables ne se suivent pas dans l’ordre {headers}',
+
+    'validation.btCasFormat': 'BT CAS {index} doit avoir le format {example}',
+    'validation.btCasType': 'Type invalide pour BT CAS {index} : {type}',
+    'validation.btCasIncomplete': 'Remplissez tous les champs de BT CAS {index} (Série/Numéro, Spécialité, Type)',
+    'validation.rpGratuitaFormat': 'L\'ordonnance gratuite doit avoir le format {example}',
+    'validation.rangeStartMissing': 'Remplissez la date de début de la {range}',
+    'validation.rangeEndMissing': 'Remplissez la date de fin de la {range}',
+    'validation.rangeStartInvalid': 'La date de début de la {range} est invalide',
+    'validation.rangeEndInvalid': 'La date de fin de la {range} est invalide',
+    'validation.rangeOrder': 'La date de fin de la {range} ne peut pas précéder la date de début',
+    'validation.unknownCodes': 'Codes de maladie inconnus : {codes}',
+    'validation.notNumber': '{label} doit être un nombre',
+    'validation.outOfRange': '{label} doit être compris(e) entre {min} et {max} {unit}',
+    'validation.heightMissing': 'Saisissez la taille',
+    'validation.weightMissing': 'Saisissez le poids',
+    'validation.ebCodesMissing': 'Saisissez les codes de maladie',
+    'validation.serialRepeated': 'La série {serial} est utilisée deux fois pour ce patient',
+    'validation.serialUsed': 'La série {serial} a déjà été utilisée pour le patient avec l\'ID {id}',
+
+    'range.absence': 'dispense d\'absence',
+    'range.sport': 'dispense de sport',
+
+    'measure.height': 'La taille',
+    'measure.weight': 'Le poids',
+
+    'access.deniedTitle': 'Accès refusé',
+    'access.deniedBody': 'Votre compte n\'a pas accès au registre médical.',
+
+    'report.subject': 'Rapports du registre médical UMF ({start} - {end})',
+    'report.title': 'Rapport du registre médical',
+    'report.totalPatients': 'Nombre total de patients sur la période :',
+    'report.codes': 'Codes de maladie :',
+    'report.uniqueCodes': 'Codes uniques : {count}',
+    'report.totalCodes': 'Total des occurrences de codes : {count}',
+    'report.ebCodes': 'Codes de maladie du bilan :',
+    'report.noEbCodes': 'Aucun code de bilan utilisé',
+    'report.prescriptions': 'Types de prescriptions :',
+    'report.sheetNote': 'Les détails figurent aussi dans le classeur {sheet}.',
+    'report.duration': 'Généré en {seconds} secondes',
+    'report.patientCount': '{count} patients',
+    'report.byDimension': 'Par {dimension} :',
+    'report.visits': 'Visites',
+    'report.topCodes': 'Codes fréquents',
+    'report.trend': 'Évolution des visites :',
+    'report.weekStarting': 'Semaine commençant le',
+    'report.day': 'Jour',
+    'report.sheetDimension': 'Dimension',
+    'report.sheetGroup': 'Groupe',
+    'report.sheetWeek': 'Semaine',
+    'report.sheetDay': 'Jour',
+    'report.unknown': 'Inconnu',
+
+    'dimension.faculty': 'Faculté',
+    'dimension.year': 'Année d\'études',
+    'dimension.language': 'Langue',
+    'dimension.gender': 'Sexe',
+    'dimension.ageBand': 'Tranche d\'âge',
+
+    'ageBand.under20': 'moins de 20',
+
+    'counter.rpIntegrala': 'Ordonnances intégrales',
+    'counter.rpGratuita': 'Ordonnances gratuites',
+    'counter.btCas': 'Lettres BT CAS (total 1-3)',
+    'counter.btSimplu': 'Lettres simples',
+    'counter.amAbsenta': 'Dispenses d\'absence',
+    'counter.amSport': 'Dispenses de sport',
+    'counter.amAlt': 'Certificats pour autres motifs',
+    'counter.amBursa': 'Certificats de bourse médicale',
+    'counter.aeAviz': 'Avis épidémiologiques',
+    'counter.ebInaltime': 'Bilans de santé',
+
+    'bmi.underweight': 'Insuffisance pondérale (< 18,5)',
+    'bmi.normal': 'Normal (18,5 - 24,9)',
+    'bmi.overweight': 'Surpoids (25 - 29,9)',
+    'bmi.obese': 'Obésité (≥ 30)',
+
+    'referrals.title': 'Lettres d\'orientation et ordonnances gratuites :',
+    'referrals.bySpecialty': 'BT CAS par spécialité :',
+    'referrals.specialty': 'Spécialité',
+    'referrals.total': 'Total',
+    'referrals.duplicates': 'Séries utilisées plusieurs fois :',
+    'referrals.duplicateLine': '{kind} {serial} (ID {id}) - aussi utilisée pour : {others}',
+    'referrals.samePatient': '{field} (même patient)',
+    'referrals.unknownSpecialty': 'Inconnue',
+
+    'referralKind.btCas': 'BT CAS',
+    'referralKind.rpGratuita': 'Ordonnance gratuite',
+
+    'btCasType.Acut': 'Aigu',
+    'btCasType.Cronic': 'Chronique',
+
+    'referralLog.document': 'Document',
+    'referralLog.series': 'Série',
+    'referralLog.number': 'Numéro',
+    'referralLog.specialty': 'Spécialité',
+    'referralLog.type': 'Type',
+    'referralLog.date': 'Date',
+    'referralLog.patientId': 'ID patient',
+    'referralLog.name': 'Nom',
+    'referralLog.notes': 'Observations',
+    'referralLog.invalidFormat': 'format invalide',
+    'referralLog.duplicate': 'série aussi utilisée pour : {others}',
+
+    'export.number': 'N°',
+    'export.day': 'Date',
+    'export.name': 'Nom et prénom',
+    'export.age': 'Âge',
+    'export.gender': 'Sexe',
+    'export.address': 'Domicile',
+    'export.occupation': 'Occupation',
+    'export.symptoms': 'Symptômes',
+    'export.diagnosis': 'Diagnostic',
+    'export.code': 'Code',
+    'export.prescriptions': 'Prescriptions',
+
+    'visitEmail.subject': 'Résumé de votre visite du {date}',
+    'visitEmail.greeting': 'Bonjour {name},',
+    'visitEmail.intro': 'Voici le résumé de votre visite au cabinet médical du {date}.',
+    'visitEmail.diagnosis': 'Diagnostic',
+    'visitEmail.codes': 'Codes de maladie',
+    'visitEmail.prescriptions': 'Prescriptions',
+    'visitEmail.referrals': 'Lettres d\'orientation',
+    'visitEmail.referral': 'BT CAS {serial} : {specialty}, {type}',
+    'visitEmail.exemptions': 'Dispenses et certificats',
+    'visitEmail.absence': 'Dispense d\'absence',
+    'visitEmail.sport': 'Dispense de sport',
+    'visitEmail.period': '{label} : {start} - {end}',
+    'visitEmail.attachments': 'Certificats médicaux joints : n° {numbers}.',
+    'visitEmail.footer': 'Vous recevez cet e-mail car vous avez accepté de recevoir le résumé de votre visite. Pour toute question, veuillez contacter le cabinet médical.',
+
+    'privacy.bundle.title': 'Données personnelles détenues à votre sujet',
+    'privacy.bundle.generatedAt': 'Généré le {date}',
+    'privacy.bundle.visit': 'Visite n° {id} du {date}',
+    'privacy.bundle.revisions': 'Historique des modifications',
+    'privacy.bundle.certificates': 'Documents médicaux émis',
+    'privacy.bundle.emails': 'E-mails envoyés',
+    'privacy.bundle.none': 'Aucun.',
+    'privacy.erased': 'Copies supprimées de la corbeille : {trashed} ; documents PDF supprimés : {files}',
+    'privacy.retention': 'Politique de conservation ({mode}, {years} ans) : visites antérieures au {cutoff} ; copies nettoyées dans la corbeille : {trashed}',
+    'privacy.trashScrubbed': 'Copies nettoyées dans la corbeille : {trashed}',
+
+    'field.diagnosis': 'Diagnostic',
+    'field.codes1': 'Codes de maladie',
+    'field.rpIntegrala': 'Ordonnance intégrale',
+    'field.rpGratuita': 'Ordonnance gratuite',
+    'field.btCas1': 'BT CAS 1',
+    'field.btCas2': 'BT CAS 2',
+    'field.btCas3': 'BT CAS 3',
+    'field.specialitate1': 'Spécialité BT CAS 1',
+    'field.tip1': 'Type BT CAS 1',
+    'field.specialitate2': 'Spécialité BT CAS 2',
+    'field.tip2': 'Type BT CAS 2',
+    'field.specialitate3': 'Spécialité BT CAS 3',
+    'field.tip3': 'Type BT CAS 3',
+    'field.btSimplu': 'Lettre d\'orientation simple',
+    'field.amAbsenta': 'Dispense d\'absence',
+    'field.amAbsentaStart': 'Dispense d\'absence du',
+    'field.amAbsentaEnd': 'Dispense d\'absence jusqu\'au',
+    'field.amSport': 'Dispense de sport',
+    'field.amSportStart': 'Dispense de sport du',
+    'field.amSportEnd': 'Dispense de sport jusqu\'au',
+    'field.amAlt': 'Autre motif',
+    'field.amBursa': 'Bourse médicale',
+    'field.aeAviz': 'Avis épidémiologique',
+    'field.ebInaltime': 'Taille (cm)',
+    'field.ebGreutate': 'Poids (kg)',
+    'field.ebIMC': 'IMC',
+    'field.codes2': 'Codes de maladie du bilan',
+
+    'prescription.rpIntegrala': 'Ordonnance intégrale',
+    'prescription.rpGratuita': 'Ordonnance gratuite',
+    'prescription.btCas1': 'BT CAS1',
+    'prescription.btCas2': 'BT CAS2',
+    'prescription.btCas3': 'BT CAS3',
+    'prescription.btSimplu': 'Orientation simple',
+    'prescription.amAbsenta': 'CM Absence',
+    'prescription.amSport': 'CM Sport',
+    'prescription.amAlt': 'CM Autre',
+    'prescription.amBursa': 'CM Bourse',
+    'prescription.aeAviz': 'Avis épidémiologique',
+    'prescription.eb': 'Bilan : {height} cm | {weight} kg | IMC {bmi} | Codes : {codes}',
+
+    'certificate.amAbsenta': 'Certificat médical - dispense d\'absence',
+    'certificate.amSport': 'Certificat médical - dispense de sport',
+    'certificate.amAlt': 'Certificat médical',
+    'certificate.amBursa': 'Certificat médical pour bourse',
+    'certificate.aeAviz': 'Avis épidémiologique',
+
+    'idIssue.blank': 'ID manquant ou invalide',
+    'idIssue.duplicate': 'ID en double',
+    'idIssue.order': 'ID hors séquence',
+    'idIssue.gap': 'Trou dans la numérotation',
+    'idIssue.timestamp': 'Horodatage hors séquence',
+    'idIssue.value': 'valeur : « {value} »',
+    'idIssue.sameAs': 'même ID que la ligne {row}',
+    'idIssue.after': 'après l\'ID {id}',
+    'idIssue.missing': '{count} ID manquants entre {from} et {to}',
+    'idIssue.before': 'avant le {date}',
+    'idIssue.noFreeId': '{details} ; aucun ID libre entre les lignes voisines, vérification manuelle nécessaire',
+
+    'alert.idIssuesSubject': 'Vérification des ID : {count} problèmes trouvés',
+    'alert.idIssuesTitle': 'Vérification de l\'intégrité des ID',
+    'alert.idIssuesSummary': 'La vérification du {date} a trouvé {issues} problèmes, dont {pending} avec une correction proposée.',
+    'alert.idIssuesNote': 'Aucune modification n\'a été appliquée. Les corrections ne sont appliquées qu\'après approbation, depuis le panneau « Intégrité des ID » du registre.',
+    'alert.scheduleFailedSubject': 'Échec du rapport programmé : {name}',
+    'alert.scheduleFailed': 'Le rapport programmé « {name} » n\'a pas pu être envoyé.',
+    'alert.error': 'Erreur : {error}',
+
+    'status.waiting': 'En attente',
+    'status.in_progress': 'En consultation',
+    'status.done': 'Terminé',
+
+    'ui.language': 'Langue de l\'interface',
+    'ui.toolbar.refresh': 'Recharger',
+    'ui.toolbar.worklist': 'Liste',
+    'ui.save': 'Enregistrer',
+    'ui.toolbar.saveNext': 'Enregistrer et suivant',
+    'ui.toolbar.saveNextTitle': 'Enregistrer et passer au patient suivant (Ctrl+Entrée)',
+    'ui.dirty': '● Modifications non enregistrées',
+    'ui.dirtyNoDraft': '● Modifications non enregistrées (le brouillon n\'a pas pu être conservé)',
+    'ui.toolbar.search': 'Rechercher',
+    'ui.toolbar.history': 'Historique',
+    'ui.toolbar.certificate': 'Document',
+    'ui.toolbar.email': 'E-mail',
+    'ui.toolbar.previousDay': 'Jour précédent',
+    'ui.toolbar.nextDay': 'Jour suivant',
+    'ui.page': 'Page',
+    'ui.pageOf': 'sur',
+    'ui.toolbar.export': 'Exporter',
+    'ui.toolbar.report': 'Rapport',
+    'ui.toolbar.schedules': 'Planifications',
+    'ui.toolbar.stats': 'Statistiques',
+    'ui.toolbar.integrity': 'Intégrité des ID',
+    'ui.toolbar.privacy': 'RGPD',
+    'ui.delete': 'Supprimer',
+    'ui.cancel': 'Annuler',
+    'ui.confirm': 'Confirmer',
+    'ui.close': 'Fermer',
+    'ui.startDate': 'Date de début',
+    'ui.endDate': 'Date de fin',
+    'ui.name': 'Nom',
+    'ui.yes': 'Oui',
+    'ui.no': 'Non',
+    'ui.datesMissing': 'Veuillez remplir les deux dates',
+    'ui.dateOrder': 'La date / l\'heure de fin ne peut pas précéder la date / l\'heure de début',
+    'ui.layoutErrors': 'La structure de la feuille ne correspond pas au schéma : {problems}. L\'enregistrement est désactivé.',
+    'ui.missingInput': 'le formulaire n’a pas de champ « {field} »',
+    'ui.unknownCode': '{code} - code inconnu',
+    'ui.search.title': 'Recherche de patient',
+    'ui.search.name': 'Nom et prénom',
+    'ui.search.namePlaceholder': 'Saisissez le nom et le prénom',
+    'ui.search.idPlaceholder': 'Saisissez l\'ID de la visite',
+    'ui.search.emailPlaceholder': 'Saisissez l\'e-mail',
+    'ui.search.phone': 'Téléphone',
+    'ui.search.phonePlaceholder': 'Saisissez le numéro de téléphone',
+    'ui.search.codesPlaceholder': 'ex. : 12 45',
+    'ui.search.diagnosisPlaceholder': 'Mots-clés du diagnostic',
+    'ui.search.facultyPlaceholder': 'Saisissez la faculté',
+    'ui.search.yearPlaceholder': 'ex. : 3',
+    'ui.search.searching': 'Recherche en cours...',
+    'ui.search.none': 'Aucun résultat',
+    'ui.search.foundOne': '1 résultat trouvé',
+    'ui.search.foundMany': '{count} résultats trouvés',
+    'ui.codes': 'Codes de maladie',
+    'ui.diagnosis': 'Diagnostic',
+    'ui.faculty': 'Faculté',
+    'ui.studyYear': 'Année d\'études',
+    'ui.export.title': 'Export des patients',
+    'ui.export.content': 'Contenu',
+    'ui.export.patients': 'Registre des patients',
+    'ui.export.referrals': 'Registre des BT CAS et ordonnances gratuites',
+    'ui.export.pdf': 'PDF pour impression',
+    'ui.export.language': 'Langue des en-têtes',
+    'ui.export.running': 'Export des patients...',
+    'ui.export.runningReferrals': 'Export du registre des lettres et ordonnances...',
+    'ui.export.done': 'Export terminé',
+    'ui.report.title': 'Rapport des patients',
+    'ui.report.language': 'Langue du rapport',
+    'ui.report.running': 'Génération du rapport...',
+    'ui.report.done': 'Rapport terminé',
+    'ui.history.title': 'Historique des modifications',
+    'ui.history.loading': 'Chargement de l\'historique...',
+    'ui.history.empty': 'Aucune modification n\'est enregistrée pour ce patient',
+    'ui.history.restoreTag': 'restauration',
+    'ui.history.restore': 'Restaurer',
+    'ui.history.field': 'Champ',
+    'ui.history.before': 'Avant',
+    'ui.history.after': 'Après',
+    'ui.history.confirmRestore': 'Restaurer le patient à cette version ?',
+    'ui.history.restoring': 'Restauration de la version...',
+    'ui.history.restored': 'Version restaurée',
+    'ui.certificate.title': 'Documents médicaux',
+    'ui.certificate.type': 'Type de document',
+    'ui.certificate.generate': 'Générer le PDF',
+    'ui.certificate.noTemplate': '{label} (sans modèle)',
+    'ui.certificate.empty': 'Aucun document n\'a été émis pour ce patient',
+    'ui.certificate.entry': 'N° {number} - {issuedAt} - {issuedBy}',
+    'ui.certificate.generating': 'Génération du document...',
+    'ui.certificate.generated': 'Le document n° {number} a été généré',
+    'ui.email.title': 'E-mail au patient',
+    'ui.email.recipient': 'Destinataire : {email}',
+    'ui.email.noAddress': 'Le patient n\'a pas d\'adresse e-mail',
+    'ui.email.consent': 'Le patient accepte de recevoir le résumé de la visite par e-mail',
+    'ui.email.consentGiven': 'Consentement enregistré le {date}',
+    'ui.email.consentOtherAddress': 'Le consentement du {date} a été donné pour une autre adresse e-mail ; cochez à nouveau pour l\'adresse actuelle',
+    'ui.email.consentSaved': 'Le consentement a été mis à jour',
+    'ui.email.language': 'Langue de l\'e-mail',
+    'ui.email.send': 'Envoyer le résumé',
+    'ui.email.sending': 'Envoi de l\'e-mail...',
+    'ui.email.sent': 'L\'e-mail a été envoyé à {recipient}',
+    'ui.email.empty': 'Aucun e-mail n\'a été envoyé pour ce patient',
+    'ui.email.entry': '{timestamp} / {user} / {recipient}',
+    'ui.email.attachments': 'Pièces jointes : {numbers}',
+    'ui.email.status.sent': 'Envoyé',
+    'ui.email.status.blocked': 'Bloqué',
+    'ui.email.status.failed': 'Échoué',
+    'ui.schedule.title': 'Rapports planifiés',
+    'ui.schedule.namePlaceholder': 'ex. : Rapport mensuel de direction',
+    'ui.schedule.recipients': 'Destinataires',
+    'ui.schedule.recipientsPlaceholder': 'ex. : a@umf.ro, b@umf.ro',
+    'ui.schedule.frequency': 'Fréquence',
+    'ui.schedule.window': 'Période couverte',
+    'ui.schedule.interval': 'Période',
+    'ui.schedule.lastRun': 'Dernière exécution',
+    'ui.schedule.enabled': 'Active',
+    'ui.schedule.inactive': '(inactive)',
+    'ui.schedule.new': 'Nouvelle planification',
+    'ui.schedule.empty': 'Il n\'y a aucun rapport planifié',
+    'ui.schedule.edit': 'Modifier',
+    'ui.schedule.runNow': 'Exécuter maintenant',
+    'ui.schedule.saved': 'Planification enregistrée',
+    'ui.schedule.confirmDelete': 'Supprimer la planification « {name} » ?',
+    'ui.schedule.deleted': 'Planification supprimée',
+    'ui.schedule.sending': 'Envoi du rapport...',
+    'ui.schedule.sent': 'Rapport envoyé',
+    'ui.frequency.weekly': 'Hebdomadaire',
+    'ui.frequency.monthly': 'Mensuel',
+    'ui.frequency.yearly': 'Annuel',
+    'ui.frequencyOption.weekly': 'Hebdomadaire (lundi)',
+    'ui.frequencyOption.monthly': 'Mensuel (le 1er)',
+    'ui.frequencyOption.yearly': 'Annuel (1er janvier)',
+    'ui.window.previous_week': 'Semaine précédente',
+    'ui.window.previous_month': 'Mois précédent',
+    'ui.window.previous_year': 'Année précédente',
+    'ui.window.last_7_days': '7 derniers jours',
+    'ui.window.last_30_days': '30 derniers jours',
+    'ui.windowOption.previous_week': 'Semaine civile précédente',
+    'ui.windowOption.previous_month': 'Mois civil précédent',
+    'ui.windowOption.previous_year': 'Année civile précédente',
+    'ui.merge.title': 'Conflit d\'enregistrement',
+    'ui.merge.intro': 'Le patient a été modifié par un autre utilisateur après son ouverture. Choisissez pour chaque champ la version à conserver.',
+    'ui.merge.allTheirs': 'Toutes enregistrées',
+    'ui.merge.allMine': 'Toutes les miennes',
+    'ui.merge.mine': 'Ma version',
+    'ui.merge.theirs': 'Version enregistrée',
+    'ui.merge.keep': 'Conserver',
+    'ui.merge.optionMine': 'La mienne',
+    'ui.merge.optionTheirs': 'Enregistrée',
+    'ui.merge.optionCombine': 'Combiner',
+    'ui.integrity.title': 'Intégrité des ID',
+    'ui.integrity.intro': 'La vérification ne modifie rien. Les ID proposés ne sont appliqués qu\'après confirmation et les trous de numérotation ne sont jamais comblés.',
+    'ui.integrity.run': 'Vérifier maintenant',
+    'ui.integrity.apply': 'Appliquer les corrections',
+    'ui.integrity.checking': 'Vérification des ID...',
+    'ui.integrity.found': '{count} problèmes trouvés',
+    'ui.integrity.none': 'Aucun problème trouvé',
+    'ui.integrity.lastClean': 'La dernière vérification ({date}) n\'a trouvé aucun problème',
+    'ui.integrity.never': 'Aucune vérification n\'a été lancée',
+    'ui.integrity.summary': 'Vérification du {date} : {issues} problèmes, {pending} corrections en attente',
+    'ui.integrity.row': 'Ligne',
+    'ui.integrity.issue': 'Problème',
+    'ui.integrity.details': 'Détails',
+    'ui.integrity.currentId': 'ID actuel',
+    'ui.integrity.proposedId': 'ID proposé',
+    'ui.integrity.status': 'État',
+    'ui.integrity.confirmApply': 'Appliquer les ID proposés ? Les modifications sont enregistrées dans l\'historique de chaque patient.',
+    'ui.integrity.applying': 'Application des corrections...',
+    'ui.integrity.applied': 'Corrections appliquées : {applied}, ignorées : {skipped}',
+    'ui.delete.title': 'Supprimer des patients',
+    'ui.delete.scope': 'Éléments à supprimer',
+    'ui.delete.current': 'Patient actuel',
+    'ui.delete.ids': 'Patients avec les ID',
+    'ui.delete.range': 'Patients de la période',
+    'ui.delete.all': 'Toute la base de données',
+    'ui.delete.idsLabel': 'ID',
+    'ui.delete.idsPlaceholder': 'ex. : 12, 15, 20',
+    'ui.delete.allWarning': 'Attention ! Cette action est définitive et irréversible. Une copie de sauvegarde de la base de données est créée automatiquement.',
+    'ui.delete.password': 'Mot de passe',
+    'ui.delete.passwordPlaceholder': 'Saisissez le mot de passe pour confirmer',
+    'ui.delete.trashNote': 'Les enregistrements supprimés sont déplacés dans la corbeille et peuvent être restaurés.',
+    'ui.noPatient': 'Aucun patient n\'est sélectionné',
+    'ui.delete.idsMissing': 'Saisissez au moins un ID',
+    'ui.delete.trashed': '{count} enregistrements ont été déplacés dans la corbeille',
+    'ui.delete.done': 'Suppression terminée',
+    'ui.delete.doneBackup': 'Suppression terminée. Copie de sauvegarde : {name}',
+    'ui.trash': 'Corbeille',
+    'ui.trash.restoreSelected': 'Restaurer la sélection',
+    'ui.trash.empty': 'La corbeille est vide',
+    'ui.trash.visit': 'Visite',
+    'ui.trash.deletedBy': 'Supprimé par',
+    'ui.trash.deletedAt': 'Supprimé le',
+    'ui.trash.expiresAt': 'Expire le',
+    'ui.trash.nothingSelected': 'Sélectionnez au moins un enregistrement',
+    'ui.trash.restored': '{count} enregistrements ont été restaurés',
+    'ui.privacy.title': 'Données personnelles (RGPD)',
+    'ui.privacy.intro': 'Visites trouvées pour le patient actuel par e-mail, téléphone et nom. Cochez uniquement les visites de la même personne.',
+    'ui.privacy.loading': 'Recherche des visites de la personne...',
+    'ui.privacy.email': 'E-mail',
+    'ui.privacy.phone': 'Téléphone',
+    'ui.privacy.matchedBy': 'Correspondance',
+    'ui.privacy.current': 'visite actuelle',
+    'ui.privacy.format': 'Format d\'export',
+    'ui.privacy.export': 'Exporter les données',
+    'ui.privacy.pseudonymize': 'Pseudonymiser',
+    'ui.privacy.erase': 'Effacer définitivement',
+    'ui.privacy.working': 'Traitement de la demande...',
+    'ui.privacy.exported': 'Les données de la personne ont été exportées',
+    'ui.privacy.confirmPseudonymize': 'Remplacer le nom, l\'e-mail, le téléphone et l\'adresse de {count} visites par un pseudonyme ? Les données cliniques sont conservées. Cette action est irréversible.',
+    'ui.privacy.confirmErase': 'Effacer définitivement {count} visites, sans copie dans la corbeille ? Cette action est irréversible.',
+    'ui.privacy.pseudonymized': '{count} visites ont été pseudonymisées ({subject})',
+    'ui.privacy.erased': '{count} visites ont été définitivement effacées',
+    'ui.duplicate.title': 'Envoi en double',
+    'ui.duplicate.intro': 'Le formulaire semble avoir été envoyé deux fois. La fusion complète les champs vides de la visite d\'origine avec ce qui a été saisi sur la copie et exclut la copie des rapports et des exports.',
+    'ui.duplicate.compare': 'Comparer',
+    'ui.duplicate.merge': 'Fusionner avec l\'original',
+    'ui.duplicate.dismiss': 'Ce n\'est pas un doublon',
+    'ui.duplicate.copy': 'Copie',
+    'ui.duplicate.original': 'Original',
+    'ui.duplicate.badge': 'Doublon possible',
+    'ui.duplicate.confirmedBadge': 'Doublon',
+    'ui.duplicate.suspected': 'Doublon possible de la visite {id}',
+    'ui.duplicate.confirmed': 'Doublon fusionné avec la visite {id} ; exclu des rapports et des exports',
+    'ui.duplicate.saveFirst': 'Enregistrez ou abandonnez vos modifications avant la fusion',
+    'ui.duplicate.merged': 'La copie a été fusionnée avec la visite {id}',
+    'ui.duplicate.dismissed': 'La visite n\'est plus marquée comme doublon',
+    'ui.safety.title': 'Alertes de sécurité',
+    'ui.safety.intro': 'L\'ordonnance contient des médicaments signalés pour les allergies ou les maladies chroniques du patient. L\'enregistrement ne continue qu\'après la confirmation de chaque alerte, qui reste consignée.',
+    'ui.safety.confirm': 'J\'ai vérifié les alertes et je maintiens la prescription',
+    'ui.safety.review': 'Revoir l\'ordonnance',
+    'ui.safety.acknowledge': 'Enregistrer avec les alertes confirmées',
+    'ui.safety.pending': 'Confirmez {count} alertes de sécurité avant l\'enregistrement',
+    'ui.safety.alert': '{drug} est signalé pour {source} : {keyword}.',
+    'ui.safety.drug': 'Médicament',
+    'ui.safety.reason': 'Motif',
+    'ui.safety.source.allergy': 'allergie',
+    'ui.safety.source.chronic': 'maladie chronique',
+    'ui.stats.title': 'Statistiques',
+    'ui.stats.last7': 'Les 7 derniers jours',
+    'ui.stats.last30': 'Les 30 derniers jours',
+    'ui.stats.last90': 'Les 90 derniers jours',
+    'ui.stats.thisYear': 'Cette année',
+    'ui.stats.custom': 'Période choisie',
+    'ui.stats.show': 'Afficher',
+    'ui.stats.back': 'Retour au registre',
+    'ui.stats.loading': 'Calcul des statistiques...',
+    'ui.stats.period': 'Période {start} - {end}',
+    'ui.stats.visits': 'Visites',
+    'ui.stats.codes': 'Codes de maladie enregistrés',
+    'ui.stats.uniqueCodes': 'Codes distincts',
+    'ui.stats.bmiMeasured': 'Bilans avec IMC',
+    'ui.stats.byDay': 'Visites par jour',
+    'ui.stats.byWeek': 'Visites par semaine',
+    'ui.stats.byHour': 'Visites par heure',
+    'ui.stats.topCodes': 'Codes les plus fréquents',
+    'ui.stats.prescriptions': 'Ordonnances et lettres',
+    'ui.stats.certificates': 'Certificats et avis',
+    'ui.stats.faculty': 'Faculté',
+    'ui.stats.year': 'Année d\'études',
+    'ui.stats.bmi': 'Répartition de l’IMC aux bilans',
+    'ui.stats.empty': 'Aucune donnée pour cette période',
+    'ui.worklist.title': 'Liste de travail',
+    'ui.worklist.allStatuses': 'Tous les états',
+    'ui.worklist.allGenders': 'Tous les sexes',
+    'ui.worklist.allFaculties': 'Toutes les facultés',
+    'ui.worklist.currentStatus': 'État du patient actuel',
+    'ui.worklist.automatic': 'Automatique',
+    'ui.worklist.hint': 'Alt+N : patient suivant en attente',
+    'ui.worklist.noMatch': 'Aucun patient ne correspond aux filtres',
+    'ui.worklist.empty': 'Aucun patient n\'est chargé',
+    'ui.worklist.noWaiting': 'Il n\'y a pas d\'autre patient en attente dans la liste chargée',
+    'ui.worklist.statusUpdated': 'État mis à jour : {status}',
+    'ui.worklist.newOne': '1 nouveau patient est arrivé',
+    'ui.worklist.newMany': '{count} nouveaux patients sont arrivés',
+    'ui.today': 'aujourd\'hui',
+    'ui.onDate': 'le {date}',
+    'ui.loadingPatients': 'Chargement des patients {label}...',
+    'ui.noPatientsFor': 'Aucun patient enregistré {label}',
+    'ui.loadedOne': '1 patient chargé',
+    'ui.loadedMany': '{count} patients chargés',
+    'ui.noPatientToSave': 'Aucun patient n\'est sélectionné pour l\'enregistrement',
+    'ui.invalidData': 'Format de données invalide',
+    'ui.saving': 'Enregistrement...',
+    'ui.saveConflict': 'Le patient a été modifié entre-temps par un autre utilisateur',
+    'ui.saved': 'Données du patient enregistrées',
+    'ui.invalidOne': 'Non enregistré : 1 champ à corriger',
+    'ui.invalidMany': 'Non enregistré : {count} champs à corriger',
+    'ui.draftRestoredStale': 'Le brouillon du {date} a été restauré, mais le patient a été enregistré entre-temps. Vérifiez les données avant d’enregistrer.',
+    'ui.draftRestored': 'Brouillon non enregistré du {date} restauré',
+    'ui.leaveWithDraft': 'Le patient actuel a des modifications non enregistrées. Elles restent conservées comme brouillon sur cet appareil et seront restaurées à votre retour. Continuer ?',
+    'ui.leaveWithoutDraft': 'Le patient actuel a des modifications non enregistrées qui n\'ont pas pu être conservées comme brouillon et seront perdues. Continuer ?',
+    'ui.section.patientInfo': 'Informations patient',
+    'ui.column.visit': 'ID / Date et heure de la visite',
+    'ui.column.basic': 'Nom / Âge / Sexe',
+    'ui.column.contact': 'E-mail / Téléphone',
+    'ui.column.education': 'Faculté / Année / Langue',
+    'ui.section.medicalHistory': 'Antécédents médicaux',
+    'ui.lastMenstruation': 'Premier jour des dernières règles :',
+    'ui.item.symptoms': 'Symptômes / Motif de la visite',
+    'ui.item.treatment': 'Traitement actuel',
+    'ui.item.chronic': 'Maladies chroniques',
+    'ui.item.allergies': 'Allergies',
+    'ui.section.previousVisits': 'Visites précédentes',
+    'ui.section.diagnosis': 'Diagnostic médical',
+    'ui.section.prescription': 'Ordonnance',
+    'ui.section.referral': 'Lettre d\'orientation',
+    'ui.section.certificate': 'Certificat médical',
+    'ui.section.checkup': 'Bilan de santé',
+    'ui.diagnosisPlaceholder': 'Saisissez le diagnostic',
+    'ui.codesPlaceholder': 'Saisissez les codes de maladie',
+    'ui.dataPlaceholder': 'Saisissez les données',
+    'ui.rpGratuitaPlaceholder': 'ex. : ABCDEF 12345',
+    'ui.btCasPlaceholder': 'ex. : ABCDE 1234567',
+    'ui.btCasSerial1': 'BT CAS 1 Série / Numéro',
+    'ui.btCasSerial2': 'BT CAS 2 Série / Numéro',
+    'ui.btCasSerial3': 'BT CAS 3 Série / Numéro',
+    'ui.specialty': 'Spécialité',
+    'ui.selectSpecialty': 'Sélectionnez la spécialité',
+    'ui.type': 'Type',
+    'ui.selectType': 'Sélectionnez le type',
+    'ui.until': 'jusqu\'au',
+    'ui.heightPlaceholder': 'Saisissez la taille',
+    'ui.weightPlaceholder': 'Saisissez le poids',
+    'ui.bmiPlaceholder': 'Calculé automatiquement',
+    'ui.timeline.loading': 'Chargement des visites précédentes...',
+    'ui.timeline.empty': 'Il n\'y a pas d\'autre visite pour ce patient',
+    'ui.timeline.matchEmail': 'e-mail',
+    'ui.timeline.matchPhone': 'téléphone',
+    'ui.timeline.matchName': 'nom',
+    'ui.timeline.confirmed': '(confirmé manuellement)',
+    'ui.timeline.matched': '(correspondance : {keys})',
+    'ui.timeline.same': 'Même personne',
+    'ui.timeline.different': 'Autre personne',
+    'ui.timeline.prescriptions': 'Prescriptions',
+    'ui.timeline.bmiTrend': 'Évolution de l\'IMC : {points}',
+    'ui.timeline.linkSaved': 'Lien enregistré'
+  }
+};
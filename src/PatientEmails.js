@@ -0,0 +1,178 @@
+const PATIENT_EMAIL_LOG_HEADERS = ["Timestamp", "User", "Patient ID", "UID", "Recipient", "Language", "Status", "Attachments", "Details"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function escapeHtml_(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isSameEmailAddress_(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function setEmailConsent(patientId, uid, consent) {
+  requireRole_('setEmailConsent');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const consentColumn = ensureColumn_(sheet, CONFIG.EMAIL_CONSENT_COLUMN);
+    const addressColumn = ensureColumn_(sheet, CONFIG.EMAIL_CONSENT_ADDRESS_COLUMN);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cols = getColumnMappings(headers);
+    const sheetRow = findPatientRowByUid_(sheet, cols, patientId, uid);
+    const cells = [consentColumn, addressColumn].map(column => sheet.getRange(sheetRow, column));
+    const before = cells.map(cell => cell.getDisplayValue());
+
+    // Like the status, consent belongs to the visit but not to the form, so it does not bump the row version.
+    // The address is kept with it, so a later change of email needs a new consent
+    const date = consent ? new Date() : '';
+    const address = consent ? getValue(sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0], cols.email) : '';
+    cells[0].setValue(date);
+    cells[1].setValue(address);
+    recordPatientRevision_(patientId, [CONFIG.EMAIL_CONSENT_COLUMN, CONFIG.EMAIL_CONSENT_ADDRESS_COLUMN], before,
+      [date && parseDateFromSheet(date, true), address], 'consent', uid);
+    return createPatientObject(sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0], cols);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getExemptionCertificates_(patient) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.CERTIFICATES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  // Only the latest certificate of each exemption type issued for this visit is attached
+  const latest = {};
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, CERTIFICATE_LOG_HEADERS.length).getValues()
+    .filter(row => (patient.uid && row[5] ? row[5] === patient.uid : String(row[4]) === String(patient.id)))
+    .filter(row => isIssuedCertificate_(row) && CERTIFICATE_TYPES[row[6]] && CERTIFICATE_TYPES[row[6]].exemption)
+    .forEach(row => { latest[row[6]] = { number: `${row[0]}/${row[1]}`, fileId: row[7] }; });
+
+  return Object.keys(latest).map(type => Object.assign({ type, blob: DriveApp.getFileById(latest[type].fileId).getBlob() }, latest[type]));
+}
+
+function buildVisitSummary_(patient, certificates, lang) {
+  const text = (key, params) => escapeHtml_(translate_(lang, key, params));
+  const visitDate = patient.timestamp.split(' ')[0];
+  const section = (title, items) => (items.length > 0 ? `
+    <h3>${text(title)}</h3>
+    <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '');
+
+  const codes = describeCodes_(patient.codes1).split('\n').filter(Boolean).map(escapeHtml_);
+  const prescriptions = ['rpIntegrala', 'rpGratuita', 'btSimplu']
+    .filter(key => patient[key])
+    .map(key => `${text(`field.${key}`)}: ${escapeHtml_(patient[key])}`);
+  const referrals = REFERRAL_FIELDS
+    .filter(field => field.kind === 'btCas' && patient[field.key])
+    .map(field => {
+      const index = field.key.slice(-1);
+      return text('visitEmail.referral', {
+        serial: patient[field.key],
+        specialty: patient[`specialitate${index}`] || messageRef_('report.unknown'),
+        type: patient[`tip${index}`] ? btCasTypeLabel_(patient[`tip${index}`], lang) : messageRef_('report.unknown')
+      });
+    });
+  const exemptions = [
+    ['visitEmail.absence', patient.amAbsentaStart, patient.amAbsentaEnd],
+    ['visitEmail.sport', patient.amSportStart, patient.amSportEnd]
+  ]
+    .filter(([, start, end]) => start && end)
+    .map(([label, start, end]) => text('visitEmail.period', {
+      label: messageRef_(label),
+      start: start.split('-').reverse().join('/'),
+      end: end.split('-').reverse().join('/')
+    }))
+    .concat(patient.amAlt ? [`${text('field.amAlt')}: ${escapeHtml_(patient.amAlt)}`] : [])
+    .concat(['amBursa', 'aeAviz'].filter(key => patient[key]).map(key => text(`field.${key}`)));
+
+  const clinicHeader = PropertiesService.getScriptProperties().getProperty('CLINIC_HEADER') || '';
+  const htmlBody = `
+    <p>${text('visitEmail.greeting', { name: patient.fullName })}</p>
+    <p>${text('visitEmail.intro', { date: visitDate })}</p>
+    ${patient.diagnosis ? `<h3>${text('visitEmail.diagnosis')}</h3><p>${escapeHtml_(patient.diagnosis)}</p>` : ''}
+    ${section('visitEmail.codes', codes)}
+    ${section('visitEmail.prescriptions', prescriptions)}
+    ${section('visitEmail.referrals', referrals)}
+    ${section('visitEmail.exemptions', exemptions)}
+    ${certificates.length > 0 ? `<p>${text('visitEmail.attachments', { numbers: certificates.map(certificate => certificate.number) })}</p>` : ''}
+    <p>${text('visitEmail.footer')}</p>
+    ${clinicHeader ? `<p>${escapeHtml_(clinicHeader)}</p>` : ''}`;
+
+  return { subject: translate_(lang, 'visitEmail.subject', { date: visitDate }), htmlBody };
+}
+
+function sendVisitSummary(patientId, uid, lang = getUserLanguage_()) {
+  requireRole_('sendVisitSummary');
+  const language = resolveLanguage_(lang);
+  const { row, cols } = readPatientRow_(patientId, uid);
+  const patient = createPatientObject(row, cols);
+  const recipient = patient.email;
+
+  // Blocked sends are logged as well, so attempts without consent stay visible
+  if (!patient.emailConsent) {
+    logPatientEmail_(patient, recipient, language, 'blocked', [], codedMessage_('error.emailConsentMissing'));
+    throw appError_('error.emailConsentMissing');
+  }
+  if (!isSameEmailAddress_(patient.emailConsentAddress, recipient)) {
+    logPatientEmail_(patient, recipient, language, 'blocked', [], codedMessage_('error.emailConsentAddressChanged'));
+    throw appError_('error.emailConsentAddressChanged');
+  }
+  if (!EMAIL_PATTERN.test(recipient)) {
+    logPatientEmail_(patient, recipient, language, 'blocked', [], codedMessage_('error.patientEmailInvalid'));
+    throw appError_('error.patientEmailInvalid');
+  }
+
+  let certificates = [];
+  try {
+    certificates = getExemptionCertificates_(patient);
+    const { subject, htmlBody } = buildVisitSummary_(patient, certificates, language);
+    MailApp.sendEmail({
+      to: recipient,
+      subject,
+      htmlBody,
+      attachments: certificates.map(certificate => certificate.blob),
+      noReply: true
+    });
+  } catch (error) {
+    logPatientEmail_(patient, recipient, language, 'failed', certificates, error.message);
+    throw appError_('error.patientEmailFailed', { reason: error.message });
+  }
+
+  logPatientEmail_(patient, recipient, language, 'sent', certificates, '');
+  return { recipient, attachments: certificates.map(certificate => certificate.number) };
+}
+
+function logPatientEmail_(patient, recipient, lang, status, certificates, details) {
+  try {
+    getProtectedSheet_(CONFIG.PATIENT_EMAILS_SHEET_NAME, PATIENT_EMAIL_LOG_HEADERS).appendRow([
+      new Date(), getCurrentUserEmail_(), patient.id, patient.uid, recipient, lang, status,
+      certificates.map(certificate => certificate.number).join(', '), messageText_(details, DEFAULT_LANGUAGE)
+    ]);
+  } catch (error) {
+    console.error("Error writing patient email log:", error);
+  }
+}
+
+function getPatientEmails(patientId, uid) {
+  requireRole_('getPatientEmails');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.PATIENT_EMAILS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, PATIENT_EMAIL_LOG_HEADERS.length).getValues()
+    .filter(row => (uid && row[3] ? row[3] === uid : String(row[2]) === String(patientId)))
+    .map(row => ({
+      timestamp: parseDateFromSheet(row[0], true),
+      user: row[1],
+      recipient: row[4],
+      language: row[5],
+      status: row[6],
+      attachments: row[7],
+      details: row[8]
+    }))
+    .reverse();
+}
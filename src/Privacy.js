@@ -0,0 +1,359 @@
+const PRIVACY_LOG_HEADERS = ["Timestamp", "User", "Action", "Subject", "Patient IDs", "Rows", "Details"];
+
+// Columns that identify the person; everything else on the visit is kept for statistics
+const IDENTIFYING_FIELDS = ['fullName', 'email', 'phone', 'address', 'emailConsentAddress'];
+
+const PSEUDONYM_PREFIX = 'P-';
+
+const SUBJECT_EXPORT_FORMATS = ['json', 'pdf'];
+
+const PRIVACY_LOG_MAX_IDS = 200;
+
+function getRetentionPolicy_() {
+  const props = PropertiesService.getScriptProperties();
+  const years = parseInt(props.getProperty('RETENTION_YEARS'), 10);
+  return {
+    years: isNaN(years) || years < 1 ? null : years,
+    mode: props.getProperty('RETENTION_MODE') === 'remove' ? 'remove' : 'pseudonymize'
+  };
+}
+
+function getPseudonymSalt_() {
+  const props = PropertiesService.getScriptProperties();
+  let salt = props.getProperty('PSEUDONYM_SALT');
+  if (!salt) {
+    salt = Utilities.getUuid();
+    props.setProperty('PSEUDONYM_SALT', salt);
+  }
+  return salt;
+}
+
+function pseudonymFor_(keys) {
+  // Keyed hash: the same person always gets the same pseudonym, but it cannot be reversed without the salt
+  const value = keys.email || keys.phone || keys.name || Utilities.getUuid();
+  const digest = Utilities.computeHmacSha256Signature(value, getPseudonymSalt_());
+  return PSEUDONYM_PREFIX + digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('').slice(0, 12);
+}
+
+function isDeidentified_(row, cols) {
+  const name = getValue(row, cols.fullName);
+  return (!name || name.indexOf(PSEUDONYM_PREFIX) === 0) && ['email', 'phone', 'address'].every(key => !getValue(row, cols[key]));
+}
+
+function readRegister_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet) throw appError_('error.sheetMissing');
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const data = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues() : [];
+  return { sheet, headers, cols: getColumnMappings(headers), data };
+}
+
+function findSubjectVisits_(data, cols, patientId, uid) {
+  // Rows are deleted for good on erasure, so the anchor is found by its uid rather than a display ID another row may share
+  const anchor = findVisitRow_(data, cols, patientId, uid);
+
+  return [{ row: anchor, matchedBy: [], anchor: true }]
+    .concat(findLinkedVisits_(data, cols, anchor))
+    .map(visit => Object.assign(visit, { index: data.indexOf(visit.row) }));
+}
+
+function selectSubjectVisits_(data, cols, patientId, uid, keys) {
+  // Only visits the admin confirmed in the preview are touched, so a shared name cannot pull in someone else
+  const wanted = new Set((keys || []).map(String));
+  const visits = findSubjectVisits_(data, cols, patientId, uid).filter(visit => wanted.has(visitKey_(visit.row, cols)));
+  if (visits.length === 0) throw appError_('error.nothingSelected');
+  return visits;
+}
+
+function getDataSubjectVisits(patientId, uid) {
+  requireRole_('getDataSubjectVisits');
+  const { data, cols } = readRegister_();
+  return findSubjectVisits_(data, cols, patientId, uid).map(({ row, matchedBy, decision, anchor }) => ({
+    key: visitKey_(row, cols),
+    id: getValue(row, cols.id),
+    timestamp: parseDateFromSheet(getValue(row, cols.timestamp), true),
+    fullName: getValue(row, cols.fullName),
+    email: getValue(row, cols.email),
+    phone: getValue(row, cols.phone),
+    matchedBy,
+    confirmed: !!anchor || decision === 'same'
+  }));
+}
+
+function exportDataSubject(patientId, uid, keys, format = 'json', lang = getUserLanguage_()) {
+  requireRole_('exportDataSubject');
+  if (SUBJECT_EXPORT_FORMATS.indexOf(format) === -1) throw appError_('error.unknownFormat', { format });
+
+  const { headers, cols, data } = readRegister_();
+  const visits = selectSubjectVisits_(data, cols, patientId, uid, keys);
+  const uids = visits.map(visit => getValue(visit.row, cols.uid)).filter(Boolean);
+  const patientIds = visits.map(visit => getValue(visit.row, cols.id));
+  const catalogue = getDiseaseCatalogue_();
+
+  const bundle = {
+    generatedAt: parseDateFromSheet(new Date(), true),
+    visits: visits.map(({ row }) => ({
+      id: getValue(row, cols.id),
+      timestamp: parseDateFromSheet(getValue(row, cols.timestamp), true),
+      data: Object.fromEntries(headers.map((header, i) => [header, row[i] instanceof Date ? parseDateFromSheet(row[i], true) : row[i]])
+        .filter(([header]) => header !== '')),
+      prescriptions: describePrescriptions(row, cols, catalogue, lang),
+      revisions: getAuditRevisions_(getValue(row, cols.id), getValue(row, cols.uid))
+    })),
+    certificates: readLogRows_(CONFIG.CERTIFICATES_SHEET_NAME, CERTIFICATE_LOG_HEADERS, row => uids.indexOf(row[5]) !== -1)
+      .map(row => ({
+        number: `${row[0]}/${row[1]}`,
+        issuedAt: parseDateFromSheet(row[2], true),
+        type: CERTIFICATE_TYPES[row[6]] ? translate_(lang, CERTIFICATE_TYPES[row[6]].label) : row[6],
+        url: row[8]
+      })),
+    emails: readLogRows_(CONFIG.PATIENT_EMAILS_SHEET_NAME, PATIENT_EMAIL_LOG_HEADERS, row => uids.indexOf(row[3]) !== -1)
+      .map(row => ({ sentAt: parseDateFromSheet(row[0], true), recipient: row[4], status: row[6], attachments: row[7] }))
+  };
+
+  const subject = pseudonymFor_(getIdentityKeys_(visits[0].row, cols));
+  const exportName = `Date_personale_${subject}_${parseDateFromSheet(new Date(), false)}`;
+  const download = format === 'json'
+    ? createDownload_(exportName, 'json', Utilities.newBlob(JSON.stringify(bundle, null, 2), 'application/json').getBytes())
+    : createDownload_(exportName, 'pdf', Utilities.newBlob(renderSubjectBundleHtml_(bundle, lang), 'text/html', `${exportName}.html`)
+      .getAs('application/pdf').getBytes());
+
+  logPrivacyAction_('export', subject, patientIds, format);
+  return download;
+}
+
+function readLogRows_(sheetName, headers, predicate) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().filter(predicate);
+}
+
+function renderSubjectBundleHtml_(bundle, lang) {
+  const text = (key, params) => escapeHtml_(translate_(lang, key, params));
+  const table = (rows) => `
+    <table border="1" cellpadding="4" cellspacing="0" style="border-collapse: collapse; font-size: 10px;">
+      ${rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml_(cell)}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+
+  return `
+    <h2>${text('privacy.bundle.title')}</h2>
+    <p>${text('privacy.bundle.generatedAt', { date: bundle.generatedAt })}</p>
+    ${bundle.visits.map(visit => `
+    <h3>${text('privacy.bundle.visit', { id: visit.id, date: visit.timestamp })}</h3>
+    ${table(Object.entries(visit.data))}
+    ${visit.prescriptions.length > 0 ? `<p>${visit.prescriptions.map(escapeHtml_).join('<br>')}</p>` : ''}
+    ${visit.revisions.length > 0 ? `
+    <h4>${text('privacy.bundle.revisions')}</h4>
+    ${table(visit.revisions.flatMap(revision => revision.changes.map(change =>
+    [revision.timestamp, revision.user, change.field, change.before, change.after])))}` : ''}`).join('')}
+    <h3>${text('privacy.bundle.certificates')}</h3>
+    ${bundle.certificates.length > 0
+      ? table(bundle.certificates.map(certificate => [certificate.number, certificate.issuedAt, certificate.type]))
+      : `<p>${text('privacy.bundle.none')}</p>`}
+    <h3>${text('privacy.bundle.emails')}</h3>
+    ${bundle.emails.length > 0
+      ? table(bundle.emails.map(email => [email.sentAt, email.recipient, email.status, email.attachments]))
+      : `<p>${text('privacy.bundle.none')}</p>`}`;
+}
+
+function scrubIdentityColumns_(sheet, cols, data, indexes, valueFor) {
+  // One read and one write per identifying column, whatever the number of rows
+  IDENTIFYING_FIELDS.forEach(key => {
+    if (cols[key] === -1) return;
+    const column = data.map(row => [row[cols[key]]]);
+    indexes.forEach(index => { column[index] = [valueFor(key, data[index])]; });
+    sheet.getRange(2, cols[key] + 1, column.length, 1).setValues(column);
+  });
+}
+
+function scrubTrashedCopies_(isTarget, valueFor) {
+  // Trashed rows are full copies that can be restored, so they are scrubbed the same way as the register
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.TRASH_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return 0;
+
+  const [headers, ...rows] = sheet.getDataRange().getValues();
+  const cols = getColumnMappings(headers);
+  const indexes = rows.map((row, i) => (isTarget(row, cols) ? i : null)).filter(index => index !== null);
+  if (indexes.length > 0) scrubIdentityColumns_(sheet, cols, rows, indexes, (key, row) => valueFor(key, row, cols));
+  return indexes.length;
+}
+
+function scrubEmailLog_(uids) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.PATIENT_EMAILS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1 || uids.length === 0) return;
+
+  // The address is in the recipient and can be repeated in the details of a blocked or failed send
+  const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, PATIENT_EMAIL_LOG_HEADERS.length);
+  const rows = range.getValues();
+  rows.forEach(row => {
+    if (uids.indexOf(row[3]) === -1) return;
+    row[4] = '';
+    row[8] = '';
+  });
+  range.setValues(rows);
+}
+
+function scrubAuditLog_(uids) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.AUDIT_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1 || uids.length === 0) return;
+
+  // Identifying values reach the audit log only through the consent address, which is always written with the uid
+  const fields = PATIENT_FIELDS.filter(field => IDENTIFYING_FIELDS.indexOf(field.key) !== -1).map(field => field.header)
+    .concat(CONFIG.EMAIL_CONSENT_ADDRESS_COLUMN);
+  ensureLogHeaders_(sheet, AUDIT_HEADERS);
+  const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, AUDIT_HEADERS.length);
+  const rows = range.getValues();
+  let changed = false;
+  rows.forEach(row => {
+    if (uids.indexOf(row[8]) === -1 || fields.indexOf(row[5]) === -1) return;
+    row[6] = '';
+    row[7] = '';
+    changed = true;
+  });
+  if (changed) range.setValues(rows);
+}
+
+function pseudonymizeDataSubject(patientId, uid, keys) {
+  requireRole_('pseudonymizeDataSubject');
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const { sheet, headers, cols, data } = readRegister_();
+    assertSheetLayout_(headers);
+    const visits = selectSubjectVisits_(data, cols, patientId, uid, keys);
+
+    // Every visit of the person gets the same pseudonym, so they can still be counted as one person
+    const subject = pseudonymFor_(getIdentityKeys_(visits[0].row, cols));
+    const uids = visits.map(visit => getValue(visit.row, cols.uid)).filter(Boolean);
+    const valueFor = key => (key === 'fullName' ? subject : '');
+    scrubIdentityColumns_(sheet, cols, data, visits.map(visit => visit.index), valueFor);
+    const trashed = scrubTrashedCopies_((row, trashCols) => uids.indexOf(getValue(row, trashCols.uid)) !== -1, valueFor);
+    scrubEmailLog_(uids);
+    scrubAuditLog_(uids);
+    invalidateSearchIndex_();
+
+    const patientIds = visits.map(visit => getValue(visit.row, cols.id));
+    logPrivacyAction_('pseudonymize', subject, patientIds, trashed > 0 ? codedMessage_('privacy.trashScrubbed', { trashed }) : '');
+    return { subject, count: visits.length };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function eraseDataSubject(patientId, uid, keys, password) {
+  requireRole_('eraseDataSubject');
+  assertDeletePassword_(password);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const { sheet, cols, data } = readRegister_();
+    const visits = selectSubjectVisits_(data, cols, patientId, uid, keys);
+    const subject = pseudonymFor_(getIdentityKeys_(visits[0].row, cols));
+    const patientIds = visits.map(visit => getValue(visit.row, cols.id));
+    const uids = visits.map(visit => getValue(visit.row, cols.uid)).filter(Boolean);
+    // A visit without a uid is only known by its display ID, which is not safe enough for a permanent deletion
+    if (uids.length !== visits.length) throw appError_('error.eraseUidMissing', { column: CONFIG.UID_COLUMN });
+
+    // Erased rows skip the trash; the audit log keeps their clinical changes but loses the identifying values
+    deleteSheetRows_(sheet, visits.map(visit => visit.index + 2));
+    const trashed = eraseTrashedCopies_(uids);
+    const files = trashCertificateFiles_(uids);
+    scrubEmailLog_(uids);
+    scrubAuditLog_(uids);
+    invalidateSearchIndex_();
+
+    logPrivacyAction_('erase', subject, patientIds, codedMessage_('privacy.erased', { trashed, files }));
+    return { subject, count: visits.length };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function eraseTrashedCopies_(uids) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.TRASH_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1 || uids.length === 0) return 0;
+
+  const data = sheet.getDataRange().getValues();
+  const uidColumn = data[0].indexOf(CONFIG.UID_COLUMN);
+  if (uidColumn === -1) return 0;
+
+  const rows = data.map((row, i) => (i > 0 && uids.indexOf(row[uidColumn]) !== -1 ? i + 1 : null)).filter(Boolean);
+  deleteSheetRows_(sheet, rows);
+  return rows.length;
+}
+
+function trashCertificateFiles_(uids) {
+  // The log rows stay so certificate numbers remain continuous; the PDFs carry the name and are removed
+  return readLogRows_(CONFIG.CERTIFICATES_SHEET_NAME, CERTIFICATE_LOG_HEADERS, row => uids.indexOf(row[5]) !== -1 && row[7])
+    .filter(row => {
+      try {
+        DriveApp.getFileById(row[7]).setTrashed(true);
+        return true;
+      } catch (error) {
+        console.warn(`Certificate file ${row[7]} could not be removed:`, error);
+        return false;
+      }
+    }).length;
+}
+
+function purgeExpiredIdentities(e) {
+  requireRole_('purgeExpiredIdentities', e);
+  const policy = getRetentionPolicy_();
+  if (!policy.years) return 0;
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const { sheet, headers, cols, data } = readRegister_();
+    assertSheetLayout_(headers);
+
+    const cutoff = new Date();
+    cutoff.setFullYear(cutoff.getFullYear() - policy.years);
+    const isExpired = (row, rowCols) =>
+      row[rowCols.timestamp] && new Date(row[rowCols.timestamp]) < cutoff && !isDeidentified_(row, rowCols);
+    const valueFor = (key, row, rowCols = cols) =>
+      (key === 'fullName' && policy.mode === 'pseudonymize' ? pseudonymFor_(getIdentityKeys_(row, rowCols)) : '');
+    const indexes = data.map((row, i) => (isExpired(row, cols) ? i : null)).filter(index => index !== null);
+
+    if (indexes.length > 0) scrubIdentityColumns_(sheet, cols, data, indexes, valueFor);
+    const trashed = scrubTrashedCopies_(isExpired, valueFor);
+    if (indexes.length === 0 && trashed === 0) return 0;
+    const uids = indexes.map(index => getValue(data[index], cols.uid)).filter(Boolean);
+    scrubEmailLog_(uids);
+    scrubAuditLog_(uids);
+    invalidateSearchIndex_();
+
+    const patientIds = indexes.map(index => getValue(data[index], cols.id));
+    logPrivacyAction_('retention', '', patientIds,
+      codedMessage_('privacy.retention', { mode: policy.mode, years: policy.years, cutoff: parseDateFromSheet(cutoff, false), trashed }));
+    console.log(`Retention policy applied to ${indexes.length} visits and ${trashed} trashed copies`);
+    return indexes.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function installRetentionPurgeTrigger() {
+  requireRole_('installRetentionPurgeTrigger');
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'purgeExpiredIdentities');
+  if (!exists) {
+    ScriptApp.newTrigger('purgeExpiredIdentities').timeBased().everyDays(1).atHour(4).create();
+  }
+  return !exists;
+}
+
+function logPrivacyAction_(action, subject, patientIds, details) {
+  try {
+    // Only IDs and the pseudonym are logged, so the log itself holds no identifying data
+    const ids = patientIds.length > PRIVACY_LOG_MAX_IDS
+      ? `${patientIds[0]} … ${patientIds[patientIds.length - 1]}`
+      : patientIds.join(', ');
+    getProtectedSheet_(CONFIG.PRIVACY_LOG_SHEET_NAME, PRIVACY_LOG_HEADERS).appendRow([
+      new Date(), getCurrentUserEmail_(), action, subject, ids, patientIds.length,
+      messageText_(details, DEFAULT_LANGUAGE)
+    ]);
+  } catch (error) {
+    console.error("Error writing privacy log:", error);
+  }
+}
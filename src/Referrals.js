@@ -0,0 +1,203 @@
+const REFERRAL_FIELDS = [
+  { key: 'btCas1', kind: 'btCas' },
+  { key: 'btCas2', kind: 'btCas' },
+  { key: 'btCas3', kind: 'btCas' },
+  { key: 'rpGratuita', kind: 'rpGratuita' }
+];
+
+const REFERRAL_KIND_LABELS = {
+  btCas: 'referralKind.btCas',
+  rpGratuita: 'referralKind.rpGratuita'
+};
+
+const REFERRAL_LOG_HEADERS = [
+  'referralLog.document', 'referralLog.series', 'referralLog.number', 'referralLog.specialty', 'referralLog.type',
+  'referralLog.date', 'referralLog.patientId', 'referralLog.name', 'referralLog.notes'
+];
+
+function parseReferral_(field, value) {
+  if (!value) return null;
+  const [serial, specialty, type] = field.kind === 'btCas' ? parseBtCas(String(value)) : [value, '', ''];
+  const normalized = normalizeSerial_(serial, SERIAL_FORMATS[field.kind]);
+  return normalized ? { field: field.key, kind: field.kind, serial: normalized, specialty, type } : null;
+}
+
+function readReferrals_(row, cols) {
+  return REFERRAL_FIELDS.map(field => parseReferral_(field, getValue(row, cols[field.key]))).filter(Boolean);
+}
+
+function findSerialConflicts_(sheet, cols, sheetRow, currentRow, patientData) {
+  const errors = [];
+  const proposed = REFERRAL_FIELDS
+    .map(({ key, kind }) => ({ field: key, kind, serial: normalizeSerial_(patientData[key], SERIAL_FORMATS[kind]) }))
+    .filter(referral => referral.serial);
+  if (proposed.length === 0) return errors;
+
+  const seen = {};
+  proposed.forEach(referral => {
+    const key = `${referral.kind}:${referral.serial}`;
+    if (seen[key]) errors.push({ field: referral.field, message: codedMessage_('validation.serialRepeated', { serial: referral.serial }) });
+    seen[key] = true;
+  });
+
+  // Serials the row already carried are flagged by the registry instead of blocking unrelated edits
+  const stored = readReferrals_(currentRow, cols).map(referral => `${referral.kind}:${referral.serial}`);
+  const changed = proposed.filter(referral => stored.indexOf(`${referral.kind}:${referral.serial}`) === -1);
+  if (changed.length === 0) return errors;
+
+  const lastRow = sheet.getLastRow();
+  const ids = sheet.getRange(2, cols.id + 1, lastRow - 1, 1).getValues().flat();
+  const usedBy = {};
+  REFERRAL_FIELDS.forEach(field => {
+    sheet.getRange(2, cols[field.key] + 1, lastRow - 1, 1).getValues().forEach(([value], i) => {
+      const referral = i + 2 === sheetRow ? null : parseReferral_(field, value);
+      if (referral) usedBy[`${referral.kind}:${referral.serial}`] = ids[i];
+    });
+  });
+
+  changed.forEach(referral => {
+    const id = usedBy[`${referral.kind}:${referral.serial}`];
+    if (id !== undefined) {
+      errors.push({ field: referral.field, message: codedMessage_('validation.serialUsed', { serial: referral.serial, id }) });
+    }
+  });
+  return errors;
+}
+
+function buildReferralRegistry_(rows, cols) {
+  const entries = [];
+  const byKey = {};
+
+  rows.forEach(row => {
+    readReferrals_(row, cols).forEach(referral => {
+      const entry = Object.assign({}, referral, {
+        id: getValue(row, cols.id),
+        fullName: getValue(row, cols.fullName),
+        time: new Date(row[cols.timestamp]).getTime() || 0,
+        date: row[cols.timestamp] ? parseDateFromSheet(row[cols.timestamp], false) : '',
+        validFormat: isValidSerial_(referral.serial, SERIAL_FORMATS[referral.kind])
+      });
+      const key = `${referral.kind}:${referral.serial}`;
+      (byKey[key] || (byKey[key] = [])).push(entry);
+      entries.push(entry);
+    });
+  });
+
+  entries.forEach(entry => {
+    entry.duplicates = byKey[`${entry.kind}:${entry.serial}`]
+      .filter(other => other !== entry)
+      .map(other => (other.id === entry.id ? messageRef_('referrals.samePatient', { field: other.field }) : other.id));
+  });
+  return entries;
+}
+
+function summarizeReferrals_(entries) {
+  const summary = {
+    kinds: {},
+    specialties: {},
+    types: {},
+    duplicates: entries.filter(entry => entry.duplicates.length > 0).map(entry => ({
+      kind: entry.kind,
+      serial: entry.serial,
+      id: entry.id,
+      duplicates: entry.duplicates
+    }))
+  };
+  Object.keys(REFERRAL_KIND_LABELS).forEach(kind => { summary.kinds[kind] = 0; });
+  BT_CAS_TYPES.forEach(type => { summary.types[type] = 0; });
+
+  entries.forEach(entry => {
+    summary.kinds[entry.kind]++;
+    if (entry.kind !== 'btCas') return;
+
+    // Missing values are grouped under an empty key and labelled when rendered
+    const specialty = entry.specialty || '';
+    const type = entry.type || '';
+    const group = summary.specialties[specialty] || (summary.specialties[specialty] = { total: 0, types: {} });
+    group.total++;
+    group.types[type] = (group.types[type] || 0) + 1;
+    summary.types[type] = (summary.types[type] || 0) + 1;
+  });
+  return summary;
+}
+
+function btCasTypeLabel_(type, lang) {
+  // Legacy free-text types are shown as stored
+  return MESSAGES[DEFAULT_LANGUAGE][`btCasType.${type}`] ? translate_(lang, `btCasType.${type}`) : type;
+}
+
+function renderReferralsHtml_(summary, lang = DEFAULT_LANGUAGE) {
+  const text = (key, params) => translate_(lang, key, params);
+  // Specialties, types and serials come from the sheet, so they are escaped like any other patient text
+  const typeLabel = type => escapeHtml_(type ? btCasTypeLabel_(type, lang) : text('report.unknown'));
+  const specialties = Object.keys(summary.specialties)
+    .sort((a, b) => summary.specialties[b].total - summary.specialties[a].total);
+  const types = Object.keys(summary.types);
+
+  return `
+    <h3>${text('referrals.title')}</h3>
+    <ul>
+      ${Object.keys(summary.kinds).map(kind => `<li>${text(REFERRAL_KIND_LABELS[kind])}: ${summary.kinds[kind]}</li>`).join('')}
+      ${types.map(type => `<li>BT CAS ${typeLabel(type)}: ${summary.types[type]}</li>`).join('')}
+    </ul>
+    <h3>${text('referrals.bySpecialty')}</h3>
+    <table border="1" cellpadding="4" cellspacing="0">
+      <tr><th>${text('referrals.specialty')}</th><th>${text('referrals.total')}</th>${types.map(type => `<th>${typeLabel(type)}</th>`).join('')}</tr>
+      ${specialties.map(specialty => `<tr><td>${escapeHtml_(specialty || text('referrals.unknownSpecialty'))}</td><td>${summary.specialties[specialty].total}</td>${types.map(type =>
+    `<td>${summary.specialties[specialty].types[type] || 0}</td>`).join('')}</tr>`).join('')}
+    </table>
+    ${summary.duplicates.length > 0 ? `
+    <h3>${text('referrals.duplicates')}</h3>
+    <ul>
+      ${summary.duplicates.map(item => `<li>${escapeHtml_(text('referrals.duplicateLine', {
+    kind: text(REFERRAL_KIND_LABELS[item.kind]), serial: item.serial, id: item.id, others: item.duplicates
+  }))}</li>`).join('')}
+    </ul>` : ''}`;
+}
+
+function exportReferralLog(startDate, endDate, format = 'csv', lang = getUserLanguage_()) {
+  requireRole_('exportReferralLog');
+  try {
+    if (!EXPORT_FORMATS[format]) throw appError_('error.unknownFormat', { format });
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) throw appError_('error.noPatientData');
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cols = getColumnMappings(headers);
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    // Duplicates are looked up across the whole register, not only inside the exported period
+    const entries = buildReferralRegistry_(sheet.getRange(2, 1, lastRow - 1, headers.length).getValues(), cols)
+      .filter(entry => entry.time >= startTime && entry.time <= endTime);
+    if (entries.length === 0) throw appError_('error.noReferralsInRange');
+
+    // Sorted like the physical pads: by document type, series and number
+    const rows = entries
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.serial.localeCompare(b.serial) || a.time - b.time)
+      .map(entry => {
+        const [series, number] = entry.serial.split(' ');
+        const notes = [];
+        if (!entry.validFormat) notes.push(translate_(lang, 'referralLog.invalidFormat'));
+        if (entry.duplicates.length > 0) notes.push(translate_(lang, 'referralLog.duplicate', { others: entry.duplicates }));
+        return [
+          translate_(lang, REFERRAL_KIND_LABELS[entry.kind]), series, number || '', entry.specialty,
+          btCasTypeLabel_(entry.type, lang),
+          entry.date, entry.id, entry.fullName, notes.join('; ')
+        ];
+      });
+
+    const logHeaders = REFERRAL_LOG_HEADERS.map(key => translate_(lang, key));
+    const exportName = `Registru_BT_RP_${parseDateFromSheet(startDate, true)}_${parseDateFromSheet(endDate, true)}`;
+    if (format === 'csv') return createCsvDownload_(exportName, [logHeaders].concat(rows));
+
+    const CM_TO_PIXELS = 37.8;
+    const exportConfig = [3, 2.5, 3, 5, 2, 3, 2, 5, 8].map(width => ({ width: width * CM_TO_PIXELS }));
+    return exportViaTempSpreadsheet_(exportName, exportConfig, logHeaders, rows, format);
+
+  } catch (error) {
+    throw appError_('error.exportFailed', { reason: error.message });
+  }
+}
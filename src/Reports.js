@@ -0,0 +1,221 @@
+const REPORT_DIMENSIONS = [
+  { key: 'faculty', label: 'dimension.faculty' },
+  { key: 'year', label: 'dimension.year' },
+  { key: 'language', label: 'dimension.language' },
+  { key: 'gender', label: 'dimension.gender' },
+  { key: 'ageBand', label: 'dimension.ageBand' }
+];
+
+const AGE_BANDS = [
+  { max: 19, label: 'ageBand.under20' },
+  { max: 24, label: '20-24' },
+  { max: 29, label: '25-29' },
+  { max: 34, label: '30-34' },
+  { max: Infinity, label: '35+' }
+];
+
+const BMI_BANDS = [
+  { key: 'underweight', max: 18.5 },
+  { key: 'normal', max: 25 },
+  { key: 'overweight', max: 30 },
+  { key: 'obese', max: Infinity }
+];
+
+const STATISTICS_GENERATION_KEY = 'STATS_GENERATION';
+const REPORT_FILES_PROPERTY = 'REPORT_FILES';
+
+function getAgeBand_(age, lang) {
+  const value = parseInt(age, 10);
+  if (isNaN(value)) return translate_(lang, 'report.unknown');
+  return translate_(lang, AGE_BANDS.find(band => value <= band.max).label);
+}
+
+function getWeekStart_(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function buildReportBreakdowns_(rows, cols, startDate, endDate, lang = DEFAULT_LANGUAGE) {
+  const unknown = translate_(lang, 'report.unknown');
+  const groups = {};
+  REPORT_DIMENSIONS.forEach(({ key }) => { groups[key] = {}; });
+
+  const weekly = (endDate - startDate) / (24 * 60 * 60 * 1000) > CONFIG.REPORT_DAILY_TREND_MAX_DAYS;
+  const trend = {};
+
+  rows.forEach(row => {
+    const codes = splitCodes_(row[cols.codes1]);
+    const values = {
+      faculty: getValue(row, cols.faculty) || unknown,
+      year: getValue(row, cols.year) || unknown,
+      language: getValue(row, cols.language) || unknown,
+      gender: getValue(row, cols.gender) || unknown,
+      ageBand: getAgeBand_(getValue(row, cols.age), lang)
+    };
+
+    REPORT_DIMENSIONS.forEach(({ key }) => {
+      const group = groups[key][values[key]] || (groups[key][values[key]] = { visits: 0, codes: {} });
+      group.visits++;
+      codes.forEach(code => { group.codes[code] = (group.codes[code] || 0) + 1; });
+    });
+
+    const timestamp = new Date(row[cols.timestamp]);
+    if (!isNaN(timestamp.getTime())) {
+      const bucket = parseDateFromSheet(weekly ? getWeekStart_(timestamp) : timestamp, false);
+      trend[bucket] = (trend[bucket] || 0) + 1;
+    }
+  });
+
+  const topCodes = codes => Object.keys(codes)
+    .sort((a, b) => codes[b] - codes[a])
+    .slice(0, CONFIG.REPORT_TOP_CODES)
+    .map(code => ({ code, count: codes[code] }));
+
+  const dimensions = REPORT_DIMENSIONS.map(({ key, label }) => ({
+    key,
+    label: translate_(lang, label),
+    groups: Object.keys(groups[key])
+      .sort((a, b) => groups[key][b].visits - groups[key][a].visits)
+      .map(name => ({ name, visits: groups[key][name].visits, topCodes: topCodes(groups[key][name].codes) }))
+  }));
+
+  const sortKey = date => date.split('/').reverse().join('');
+  return {
+    dimensions,
+    trend: {
+      period: weekly ? 'week' : 'day',
+      points: Object.keys(trend)
+        .sort((a, b) => sortKey(a).localeCompare(sortKey(b)))
+        .map(date => ({ date, visits: trend[date] }))
+    }
+  };
+}
+
+function formatTopCodes_(topCodes, catalogue) {
+  return topCodes.map(({ code, count }) => `${describeCode_(code, catalogue)} (${count})`).join('; ');
+}
+
+function renderBreakdownsHtml_(breakdowns, catalogue, lang = DEFAULT_LANGUAGE) {
+  const text = key => translate_(lang, key);
+  // Group names are form answers, so they are escaped like any other patient text
+  const dimensionsHtml = breakdowns.dimensions.map(dimension => `
+      <h3>${translate_(lang, 'report.byDimension', { dimension: dimension.label.toLowerCase() })}</h3>
+      <table border="1" cellpadding="4" cellspacing="0">
+        <tr><th>${dimension.label}</th><th>${text('report.visits')}</th><th>${text('report.topCodes')}</th></tr>
+        ${dimension.groups.map(group =>
+    `<tr><td>${escapeHtml_(group.name)}</td><td>${group.visits}</td><td>${escapeHtml_(formatTopCodes_(group.topCodes, catalogue)) || '-'}</td></tr>`
+  ).join('')}
+      </table>`).join('');
+
+  const trendLabel = text(breakdowns.trend.period === 'week' ? 'report.weekStarting' : 'report.day');
+  return `${dimensionsHtml}
+      <h3>${text('report.trend')}</h3>
+      <table border="1" cellpadding="4" cellspacing="0">
+        <tr><th>${trendLabel}</th><th>${text('report.visits')}</th></tr>
+        ${breakdowns.trend.points.map(point => `<tr><td>${point.date}</td><td>${point.visits}</td></tr>`).join('')}
+      </table>`;
+}
+
+function writeReportSheet_(startDate, endDate, breakdowns, catalogue, lang = DEFAULT_LANGUAGE, viewers = []) {
+  const reportName = `Raport_${parseDateFromSheet(startDate, true)}_${parseDateFromSheet(endDate, true)}`;
+
+  // A file of its own, shared with the recipients: the register itself stays closed to them
+  const file = SpreadsheetApp.create(reportName);
+  registerExportArtifact_(file.getId(), REPORT_FILES_PROPERTY);
+  const folderId = PropertiesService.getScriptProperties().getProperty('REPORTS_FOLDER_ID');
+  if (folderId) DriveApp.getFileById(file.getId()).moveTo(DriveApp.getFolderById(folderId));
+  // Sharing fails for addresses without a Google account; they still get the email, just not the file
+  viewers.forEach(viewer => {
+    try {
+      file.addViewer(viewer);
+    } catch (error) {
+      console.warn(`Report file not shared with ${viewer}:`, error);
+    }
+  });
+  const sheet = file.getSheets()[0].setName(reportName);
+
+  // One flat table so the sheet can be pivoted and charted directly
+  const headers = ['report.sheetDimension', 'report.sheetGroup', 'report.visits', 'report.topCodes'].map(key => translate_(lang, key));
+  const rows = [];
+  breakdowns.dimensions.forEach(dimension => {
+    dimension.groups.forEach(group => {
+      rows.push([dimension.label, group.name, group.visits, formatTopCodes_(group.topCodes, catalogue)]);
+    });
+  });
+  const trendLabel = translate_(lang, breakdowns.trend.period === 'week' ? 'report.sheetWeek' : 'report.sheetDay');
+  breakdowns.trend.points.forEach(point => rows.push([trendLabel, point.date, point.visits, '']));
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  if (rows.length > 0) sheet.getRange(2, 1, rows.length, headers.length).setValues(rows.map(row => row.map(neutralizeFormula_)));
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, headers.length);
+  return { name: reportName, url: file.getUrl() };
+}
+
+function getStatisticsGeneration_() {
+  const cache = CacheService.getScriptCache();
+  let generation = cache.get(STATISTICS_GENERATION_KEY);
+  // A lost generation is replaced by a new one, so results cached before it are never served again
+  if (!generation) {
+    generation = String(Date.now());
+    cache.put(STATISTICS_GENERATION_KEY, generation, CONFIG.CACHE_EXPIRATION);
+  }
+  return generation;
+}
+
+function invalidateStatistics_() {
+  CacheService.getScriptCache().put(STATISTICS_GENERATION_KEY, String(Date.now()), CONFIG.CACHE_EXPIRATION);
+}
+
+function getReportStatistics(startDate, endDate, lang = getUserLanguage_()) {
+  requireRole_('getReportStatistics');
+  const language = resolveLanguage_(lang);
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) throw appError_('error.invalidDateRange');
+
+  const cache = CacheService.getScriptCache();
+  const key = `STATS_${getStatisticsGeneration_()}_${start.getTime()}_${end.getTime()}_${language}`;
+  const cached = cache.get(key);
+  if (cached) return JSON.parse(cached);
+
+  const statistics = buildReportStatistics_(start, end, language);
+  try {
+    cache.put(key, JSON.stringify(statistics), CONFIG.STATISTICS_CACHE_EXPIRATION);
+  } catch (error) {
+    // Very long periods can exceed the 100 KB limit of a cache entry; they are simply recomputed
+    console.warn("Statistics not cached:", error);
+  }
+  return statistics;
+}
+
+function buildReportStatistics_(startDate, endDate, language) {
+  const report = collectPatientReport_(startDate, endDate, true, language);
+  const catalogue = getDiseaseCatalogue_();
+  const certificateCounters = PATIENT_FIELDS.filter(field => CERTIFICATE_TYPES[field.key]).map(field => field.counter);
+  const counters = Object.keys(report.prescriptions).map(counter => ({
+    key: counter,
+    label: translate_(language, counter),
+    count: report.prescriptions[counter]
+  }));
+
+  // Same figures as the emailed report, without writing a report sheet
+  return {
+    startDate: parseDateFromSheet(startDate, true),
+    endDate: parseDateFromSheet(endDate, true),
+    totalPatients: report.totalPatients,
+    totalCodes: report.codeStats.totalAppearances,
+    uniqueCodes: report.uniqueCodes,
+    codes: report.codeStats.codeCounts
+      .map((count, code) => ({ code, label: describeCode_(code, catalogue), count }))
+      .filter(item => item.count > 0),
+    ebCodes: report.ebCodes.map(item => Object.assign({ label: describeCode_(item.code, catalogue) }, item)),
+    prescriptions: counters.filter(item => certificateCounters.indexOf(item.key) === -1),
+    certificates: counters.filter(item => certificateCounters.indexOf(item.key) !== -1),
+    hours: report.hours.map((visits, hour) => ({ hour, visits })),
+    bmi: BMI_BANDS.map(band => ({ key: band.key, label: translate_(language, `bmi.${band.key}`), count: report.bmi[band.key] })),
+    breakdowns: report.breakdowns,
+    referrals: report.referrals
+  };
+}
@@ -0,0 +1,102 @@
+const SAFETY_RULE_HEADERS = ["Keyword", "Applies To", "Drugs", "Warning"];
+const SAFETY_OVERRIDE_HEADERS = ["Timestamp", "User", "Patient ID", "UID", "Version", "Revision", "Field", "Drug", "Source", "Keyword", "Warning"];
+const SAFETY_RULES_CACHE_KEY = "SAFETY_RULES";
+
+const SAFETY_SOURCES = { allergy: 'allergies', chronic: 'chronic' };
+// Only fields that hold free text; the free prescription field holds just its serial number
+const SAFETY_PRESCRIPTION_FIELDS = ['rpIntegrala', 'btSimplu'];
+
+function getSafetyRules_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(SAFETY_RULES_CACHE_KEY);
+  if (cached) return JSON.parse(cached);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CONFIG.SAFETY_RULES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.SAFETY_RULES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, SAFETY_RULE_HEADERS.length).setValues([SAFETY_RULE_HEADERS]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const rules = [];
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SAFETY_RULE_HEADERS.length).getValues()
+      .forEach(([keyword, appliesTo, drugs, warning]) => {
+        const key = foldDiacritics_(keyword).trim();
+        const source = foldDiacritics_(appliesTo).trim();
+        const terms = foldDiacritics_(drugs).split(/[,;\n]+/).map(term => term.trim()).filter(Boolean);
+        if (!key || terms.length === 0) return;
+        // An empty "Applies To" checks both allergies and chronic conditions
+        const sources = SAFETY_SOURCES[source] ? [source] : Object.keys(SAFETY_SOURCES);
+        rules.push({ keyword: key, sources, drugs: terms, warning: String(warning).trim() });
+      });
+  }
+
+  cache.put(SAFETY_RULES_CACHE_KEY, JSON.stringify(rules), CONFIG.SAFETY_RULES_CACHE_EXPIRATION);
+  return rules;
+}
+
+function containsSafetyTerm_(text, term) {
+  // Terms match at the start of a word, so "peni" in a rule catches "penicilina" but not "aspenil"
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}`).test(text);
+}
+
+function findSafetyAlerts_(patient, rules = getSafetyRules_()) {
+  const alerts = [];
+  const history = {};
+  Object.keys(SAFETY_SOURCES).forEach(source => { history[source] = foldDiacritics_(patient[SAFETY_SOURCES[source]]); });
+
+  SAFETY_PRESCRIPTION_FIELDS.forEach(field => {
+    const prescription = foldDiacritics_(patient[field]);
+    if (!prescription) return;
+
+    rules.forEach(rule => {
+      const source = rule.sources.find(name => containsSafetyTerm_(history[name], rule.keyword));
+      if (!source) return;
+      rule.drugs
+        .filter(drug => containsSafetyTerm_(prescription, drug))
+        .forEach(drug => alerts.push({ id: `${field}|${source}|${rule.keyword}|${drug}`, field, drug, source, keyword: rule.keyword, warning: rule.warning }));
+    });
+  });
+  return alerts;
+}
+
+function findChangedPrescriptionAlerts_(before, after, rules = getSafetyRules_()) {
+  // Only prescriptions that change are checked, so an override already on record is not asked for or logged again
+  const patient = { allergies: after.allergies, chronic: after.chronic };
+  SAFETY_PRESCRIPTION_FIELDS
+    .filter(field => String(after[field] ?? '').trim() !== String(before[field] ?? '').trim())
+    .forEach(field => { patient[field] = after[field]; });
+  return findSafetyAlerts_(patient, rules);
+}
+
+function findUnacknowledgedAlerts_(alerts, acknowledged) {
+  const ids = Array.isArray(acknowledged) ? acknowledged.map(String) : [];
+  return alerts.filter(alert => ids.indexOf(alert.id) === -1);
+}
+
+function getSafetyRules() {
+  requireRole_('getSafetyRules');
+  return getSafetyRules_();
+}
+
+function refreshSafetyRules() {
+  requireRole_('refreshSafetyRules');
+  CacheService.getScriptCache().remove(SAFETY_RULES_CACHE_KEY);
+  return getSafetyRules().length;
+}
+
+function logSafetyOverrides_(patient, alerts, version, revision) {
+  if (alerts.length === 0) return;
+  // Like the audit trail, the override record is part of the save, so a failure here is not swallowed
+  const timestamp = new Date();
+  const user = getCurrentUserEmail_();
+  const rows = alerts.map(alert => [
+    timestamp, user, patient.id, patient.uid || '', version, revision || '',
+    alert.field, alert.drug, alert.source, alert.keyword, alert.warning
+  ]);
+  const sheet = getProtectedSheet_(CONFIG.SAFETY_OVERRIDES_SHEET_NAME, SAFETY_OVERRIDE_HEADERS);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, SAFETY_OVERRIDE_HEADERS.length).setValues(rows);
+}
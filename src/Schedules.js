@@ -0,0 +1,221 @@
+const REPORT_RUN_HEADERS = ["Timestamp", "Schedule", "Window Start", "Window End", "Recipients", "Status", "Message"];
+
+const REPORT_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+const REPORT_WINDOWS = ['previous_week', 'previous_month', 'previous_year', 'last_7_days', 'last_30_days'];
+
+function getStoredSchedules_() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty('REPORT_SCHEDULES') || '[]');
+  } catch (error) {
+    console.error("Invalid REPORT_SCHEDULES property:", error);
+    return [];
+  }
+}
+
+function storeSchedules_(schedules) {
+  PropertiesService.getScriptProperties().setProperty('REPORT_SCHEDULES', JSON.stringify(schedules));
+}
+
+function getReportSchedules() {
+  requireRole_('getReportSchedules');
+  return getStoredSchedules_();
+}
+
+function saveReportSchedule(schedule) {
+  requireRole_('saveReportSchedule');
+  if (!schedule || !schedule.name) throw appError_('error.scheduleNameMissing');
+  if (REPORT_FREQUENCIES.indexOf(schedule.frequency) === -1) throw appError_('error.invalidFrequency', { frequency: schedule.frequency });
+  if (REPORT_WINDOWS.indexOf(schedule.window) === -1) throw appError_('error.invalidWindow', { window: schedule.window });
+
+  const recipients = (Array.isArray(schedule.recipients) ? schedule.recipients : String(schedule.recipients || '').split(/[\s,;]+/))
+    .map(email => email.trim())
+    .filter(Boolean);
+  if (recipients.length === 0) throw appError_('error.recipientsMissing');
+  const invalid = recipients.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+  if (invalid.length > 0) throw appError_('error.invalidEmails', { emails: invalid });
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const schedules = getStoredSchedules_();
+    const existing = schedules.find(s => s.id === schedule.id);
+    const saved = {
+      id: existing ? existing.id : Utilities.getUuid(),
+      name: String(schedule.name).trim(),
+      frequency: schedule.frequency,
+      window: schedule.window,
+      recipients,
+      language: resolveLanguage_(schedule.language),
+      enabled: schedule.enabled !== false,
+      lastRun: existing ? existing.lastRun : ''
+    };
+
+    if (existing) schedules[schedules.indexOf(existing)] = saved;
+    else schedules.push(saved);
+    storeSchedules_(schedules);
+    ensureReportScheduleTrigger_();
+    return saved;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function deleteReportSchedule(scheduleId) {
+  requireRole_('deleteReportSchedule');
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    storeSchedules_(getStoredSchedules_().filter(s => s.id !== scheduleId));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function ensureReportScheduleTrigger_() {
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'runScheduledReports');
+  if (!exists) {
+    ScriptApp.newTrigger('runScheduledReports').timeBased().everyDays(1).atHour(CONFIG.REPORT_SCHEDULE_HOUR).create();
+  }
+}
+
+function isScheduleDue_(schedule, now) {
+  if (!schedule.enabled) return false;
+  if (schedule.lastRun === parseDateFromSheet(now, false)) return false;
+
+  switch (schedule.frequency) {
+    case 'weekly': return now.getDay() === 1;
+    case 'monthly': return now.getDate() === 1;
+    case 'yearly': return now.getMonth() === 0 && now.getDate() === 1;
+    default: return false;
+  }
+}
+
+function getScheduleWindow_(window, now) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dayMs = 24 * 60 * 60 * 1000;
+  let start;
+  let end;
+
+  switch (window) {
+    case 'previous_week':
+      end = getWeekStart_(today);
+      start = new Date(end.getTime() - 7 * dayMs);
+      break;
+    case 'previous_month':
+      start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      end = new Date(today.getFullYear(), today.getMonth(), 1);
+      break;
+    case 'previous_year':
+      start = new Date(today.getFullYear() - 1, 0, 1);
+      end = new Date(today.getFullYear(), 0, 1);
+      break;
+    case 'last_7_days':
+      start = new Date(today.getTime() - 7 * dayMs);
+      end = today;
+      break;
+    case 'last_30_days':
+      start = new Date(today.getTime() - 30 * dayMs);
+      end = today;
+      break;
+    default:
+      throw appError_('error.invalidWindow', { window });
+  }
+
+  return { start, end: new Date(end.getTime() - 1000) };
+}
+
+function runScheduledReports(e) {
+  requireRole_('runScheduledReports', e);
+  const now = new Date();
+  getStoredSchedules_()
+    .filter(schedule => isScheduleDue_(schedule, now))
+    .forEach(schedule => runReportSchedule_(schedule, now));
+}
+
+function runReportScheduleNow(scheduleId) {
+  requireRole_('runReportScheduleNow');
+  const schedule = getStoredSchedules_().find(s => s.id === scheduleId);
+  if (!schedule) throw appError_('error.scheduleNotFound');
+  const result = runReportSchedule_(schedule, new Date());
+  if (result.status !== 'success') throw appError_('error.reportFailed', { reason: result.message });
+  return result;
+}
+
+function runReportSchedule_(schedule, now) {
+  let window = null;
+  let result;
+
+  try {
+    window = getScheduleWindow_(schedule.window, now);
+    const { report, subject, htmlBody } = buildPatientReport_(window.start, window.end, true, resolveLanguage_(schedule.language), schedule.recipients);
+
+    MailApp.sendEmail({
+      to: schedule.recipients.join(','),
+      subject: `[${schedule.name}] ${subject}`,
+      htmlBody: htmlBody,
+      noReply: true
+    });
+    result = { status: 'success', message: codedMessage_('report.patientCount', { count: report.totalPatients }) };
+  } catch (error) {
+    console.error(`Scheduled report "${schedule.name}" failed:`, error);
+    result = { status: 'failed', message: error.message };
+    alertAdmins_(lang => ({
+      subject: translate_(lang, 'alert.scheduleFailedSubject', { name: schedule.name }),
+      htmlBody: `<p>${escapeHtml_(translate_(lang, 'alert.scheduleFailed', { name: schedule.name }))}</p>`
+        + `<p>${escapeHtml_(translate_(lang, 'alert.error', { error: error.message }))}</p>`
+    }));
+  }
+
+  logReportRun_(schedule, window, result);
+  markScheduleRun_(schedule.id, now);
+  return result;
+}
+
+function markScheduleRun_(scheduleId, now) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const schedules = getStoredSchedules_();
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
+    schedule.lastRun = parseDateFromSheet(now, false);
+    storeSchedules_(schedules);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function logReportRun_(schedule, window, result) {
+  try {
+    const sheet = getProtectedSheet_(CONFIG.REPORT_RUNS_SHEET_NAME, REPORT_RUN_HEADERS);
+    sheet.appendRow([
+      new Date(),
+      schedule.name,
+      window ? window.start : '',
+      window ? window.end : '',
+      schedule.recipients.join(', '),
+      result.status,
+      messageText_(result.message, DEFAULT_LANGUAGE)
+    ]);
+  } catch (error) {
+    console.error("Error writing report run log:", error);
+  }
+}
+
+function alertAdmins_(buildMessage) {
+  try {
+    // Each admin reads the alert in the language they picked in the dashboard
+    const byLanguage = {};
+    getAdminEmails_().forEach(email => {
+      const lang = getUserLanguage_(email);
+      (byLanguage[lang] = byLanguage[lang] || []).push(email);
+    });
+    Object.keys(byLanguage).forEach(lang => {
+      const { subject, htmlBody } = buildMessage(lang);
+      MailApp.sendEmail({ to: byLanguage[lang].join(','), subject, htmlBody, noReply: true });
+    });
+  } catch (error) {
+    console.error("Error alerting admins:", error);
+  }
+}
@@ -0,0 +1,223 @@
+const PATIENT_FIELDS = [
+  { key: 'id', header: 'ID' },
+  { key: 'timestamp', header: 'Timestamp', type: 'timestamp' },
+  { key: 'fullName', header: 'Full Name' },
+  { key: 'age', header: 'Age' },
+  { key: 'gender', header: 'Gender' },
+  { key: 'lmp', header: 'LMP', type: 'date' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'address', header: 'Address' },
+  { key: 'faculty', header: 'Faculty' },
+  { key: 'year', header: 'Year' },
+  { key: 'language', header: 'Language' },
+  { key: 'symptoms', header: 'Symptoms / Visit Reason' },
+  { key: 'treatment', header: 'Current Treatment' },
+  { key: 'chronic', header: 'Chronic Diseases' },
+  { key: 'allergies', header: 'Allergies' },
+
+  // Columns filled in from the dashboard; they must stay consecutive and in this order
+  { key: 'diagnosis', header: 'diagnosis', editable: true, label: 'field.diagnosis', combine: 'text' },
+  { key: 'codes1', header: 'codes1', editable: true, label: 'field.codes1', combine: 'codes' },
+  {
+    key: 'rpIntegrala', header: 'rpIntegrala', editable: true, label: 'field.rpIntegrala', combine: 'text',
+    prescription: 'prescription.rpIntegrala', counter: 'counter.rpIntegrala'
+  },
+  {
+    key: 'rpGratuita', header: 'rpGratuita', editable: true, label: 'field.rpGratuita',
+    prescription: 'prescription.rpGratuita', counter: 'counter.rpGratuita'
+  },
+  {
+    key: 'btCas1', header: 'btCas1', editable: true, type: 'btCas', label: 'field.btCas1',
+    prescription: 'prescription.btCas1', counter: 'counter.btCas',
+    inputs: [
+      { key: 'btCas1', label: 'field.btCas1' },
+      { key: 'specialitate1', label: 'field.specialitate1' },
+      { key: 'tip1', label: 'field.tip1' }
+    ]
+  },
+  {
+    key: 'btCas2', header: 'btCas2', editable: true, type: 'btCas', label: 'field.btCas2',
+    prescription: 'prescription.btCas2', counter: 'counter.btCas',
+    inputs: [
+      { key: 'btCas2', label: 'field.btCas2' },
+      { key: 'specialitate2', label: 'field.specialitate2' },
+      { key: 'tip2', label: 'field.tip2' }
+    ]
+  },
+  {
+    key: 'btCas3', header: 'btCas3', editable: true, type: 'btCas', label: 'field.btCas3',
+    prescription: 'prescription.btCas3', counter: 'counter.btCas',
+    inputs: [
+      { key: 'btCas3', label: 'field.btCas3' },
+      { key: 'specialitate3', label: 'field.specialitate3' },
+      { key: 'tip3', label: 'field.tip3' }
+    ]
+  },
+  {
+    key: 'btSimplu', header: 'btSimplu', editable: true, label: 'field.btSimplu', combine: 'text',
+    prescription: 'prescription.btSimplu', counter: 'counter.btSimplu'
+  },
+  {
+    key: 'amAbsenta', header: 'amAbsenta', editable: true, type: 'dateRange', label: 'field.amAbsenta',
+    prescription: 'prescription.amAbsenta', counter: 'counter.amAbsenta',
+    inputs: [
+      { key: 'amAbsentaStart', label: 'field.amAbsentaStart' },
+      { key: 'amAbsentaEnd', label: 'field.amAbsentaEnd' }
+    ]
+  },
+  {
+    key: 'amSport', header: 'amSport', editable: true, type: 'dateRange', label: 'field.amSport',
+    prescription: 'prescription.amSport', counter: 'counter.amSport',
+    inputs: [
+      { key: 'amSportStart', label: 'field.amSportStart' },
+      { key: 'amSportEnd', label: 'field.amSportEnd' }
+    ]
+  },
+  {
+    key: 'amAlt', header: 'amAlt', editable: true, label: 'field.amAlt', combine: 'text',
+    prescription: 'prescription.amAlt', counter: 'counter.amAlt'
+  },
+  {
+    key: 'amBursa', header: 'amBursa', editable: true, type: 'flag', label: 'field.amBursa',
+    prescription: 'prescription.amBursa', counter: 'counter.amBursa'
+  },
+  {
+    key: 'aeAviz', header: 'aeAviz', editable: true, type: 'flag', label: 'field.aeAviz',
+    prescription: 'prescription.aeAviz', counter: 'counter.aeAviz'
+  },
+  { key: 'ebInaltime', header: 'ebInaltime', editable: true, label: 'field.ebInaltime', counter: 'counter.ebInaltime' },
+  { key: 'ebGreutate', header: 'ebGreutate', editable: true, label: 'field.ebGreutate' },
+  { key: 'ebIMC', header: 'ebIMC', editable: true, label: 'field.ebIMC' },
+  { key: 'codes2', header: 'codes2', editable: true, label: 'field.codes2', combine: 'codes' }
+];
+
+const FIELD_TYPES = {
+  text: {
+    read: (value, field) => ({ [field.key]: value }),
+    write: (data, field) => data[field.key] || ''
+  },
+  timestamp: {
+    read: (value, field) => ({ [field.key]: parseDateFromSheet(value, true) })
+  },
+  date: {
+    read: (value, field) => ({ [field.key]: parseDateFromSheet(value, false) })
+  },
+  flag: {
+    read: (value, field) => ({ [field.key]: String(value).toUpperCase() === 'Y' }),
+    write: (data, field) => (data[field.key] ? 'Y' : '')
+  },
+  btCas: {
+    read: (value, field) => {
+      const parts = parseBtCas(value);
+      return Object.fromEntries(field.inputs.map((input, i) => [input.key, parts[i]]));
+    },
+    write: (data, field) => formatBtCas(...field.inputs.map(input => data[input.key]))
+  },
+  dateRange: {
+    read: (value, field) => ({
+      [field.inputs[0].key]: parseDateRange(value, 'start'),
+      [field.inputs[1].key]: parseDateRange(value, 'end')
+    }),
+    write: (data, field) => createDateRange(data[field.inputs[0].key], data[field.inputs[1].key])
+  }
+};
+
+const EXPORT_COLUMNS = [
+  { header: 'export.number', width: 1.5, field: 'id' },
+  { header: 'export.day', width: 3, value: (row, cols) => (row[cols.timestamp] ? parseDateFromSheet(row[cols.timestamp], false) : '') },
+  { header: 'export.name', width: 4, field: 'fullName' },
+  { header: 'export.age', width: 1.5, field: 'age' },
+  { header: 'export.gender', width: 1.5, field: 'gender' },
+  { header: 'export.address', width: 8, field: 'address' },
+  {
+    header: 'export.occupation',
+    width: 3,
+    value: (row, cols) => (row[cols.faculty] ? `${row[cols.faculty]} ${row[cols.year]} ${row[cols.language]}` : '')
+  },
+  { header: 'export.symptoms', width: 5.5, field: 'symptoms' },
+  { header: 'export.diagnosis', width: 12, field: 'diagnosis' },
+  { header: 'export.code', width: 6, value: (row, cols, catalogue) => describeCodes_(row[cols.codes1], catalogue) },
+  { header: 'export.prescriptions', width: 12, value: (row, cols, catalogue, lang) => describePrescriptions(row, cols, catalogue, lang).join('\n') }
+];
+
+function getEditableFields_() {
+  return PATIENT_FIELDS.filter(field => field.editable);
+}
+
+function getFieldInputs_(field) {
+  return field.inputs || [{ key: field.key, label: field.label, combine: field.combine }];
+}
+
+function getEditableRange_(sheet, sheetRow, cols) {
+  const fields = getEditableFields_();
+  return sheet.getRange(sheetRow, cols[fields[0].key] + 1, 1, fields.length);
+}
+
+function readPatientFields_(row, cols) {
+  return PATIENT_FIELDS.reduce((patient, field) =>
+    Object.assign(patient, FIELD_TYPES[field.type || 'text'].read(getValue(row, cols[field.key]), field)), {});
+}
+
+function readEditedPatientFields_(row, cols, values) {
+  // The fields as they will read once the editable values are written over the row
+  const edited = row.slice();
+  edited.splice(cols[getEditableFields_()[0].key], values.length, ...values);
+  return readPatientFields_(edited, cols);
+}
+
+function writeEditableValues_(patientData) {
+  return getEditableFields_().map(field => FIELD_TYPES[field.type || 'text'].write(patientData, field));
+}
+
+function getLayoutProblems_(headers) {
+  const problems = [];
+
+  PATIENT_FIELDS.forEach(({ header }) => {
+    const count = headers.filter(existing => existing === header).length;
+    if (count === 0) problems.push(messageRef_('schema.missingColumn', { header }));
+    if (count > 1) problems.push(messageRef_('schema.duplicateColumn', { header, count }));
+  });
+
+  // Saves write the editable columns as one block, so a moved column would shift every value after it
+  const editable = getEditableFields_();
+  const first = headers.indexOf(editable[0].header);
+  const misplaced = editable.filter((field, i) => first !== -1 && headers.indexOf(field.header) !== -1 && headers[first + i] !== field.header);
+  if (misplaced.length > 0) {
+    problems.push(messageRef_('schema.editableOrder', { headers: editable.map(field => field.header) }));
+  }
+
+  return problems;
+}
+
+function assertSheetLayout_(headers) {
+  const problems = getLayoutProblems_(headers);
+  if (problems.length > 0) {
+    throw appError_('error.schemaMismatch', { problems });
+  }
+}
+
+function getPatientIds_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const idColumn = getColumnMappings(headers).id;
+  if (idColumn === -1) throw appError_('error.idColumnMissing');
+  return sheet.getRange(2, idColumn + 1, lastRow - 1, 1).getValues().flat();
+}
+
+function getFieldSchema() {
+  requireRole_('getFieldSchema');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const headers = sheet ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] : [];
+
+  return {
+    fields: getEditableFields_().map(field => ({
+      key: field.key,
+      header: field.header,
+      label: field.label,
+      inputs: getFieldInputs_(field)
+    })),
+    layoutErrors: getLayoutProblems_(headers)
+  };
+}
@@ -0,0 +1,219 @@
+const SEARCH_INDEX_META_KEY = "SEARCH_INDEX_META";
+const SEARCH_INDEX_CHUNK_PREFIX = "SEARCH_INDEX_";
+
+function createSearchEntry_(row, cols) {
+  return {
+    key: visitKey_(row, cols),
+    id: getValue(row, cols.id),
+    uid: getValue(row, cols.uid),
+    time: new Date(row[cols.timestamp]).getTime() || 0,
+    name: normalizeName_(row[cols.fullName]),
+    email: normalizeEmail_(row[cols.email]),
+    phone: (row[cols.phone] || '').toString().replace(/\D/g, ''),
+    codes: splitCodes_(getValue(row, cols.codes1)).concat(splitCodes_(getValue(row, cols.codes2))).map(code => code.toUpperCase()),
+    diagnosis: foldDiacritics_(getValue(row, cols.diagnosis)),
+    faculty: foldDiacritics_(getValue(row, cols.faculty)),
+    year: getValue(row, cols.year)
+  };
+}
+
+function readCachedSearchIndex_() {
+  const cache = CacheService.getScriptCache();
+  const meta = cache.get(SEARCH_INDEX_META_KEY);
+  if (!meta) return null;
+
+  const { chunks } = JSON.parse(meta);
+  const keys = Array.from({ length: chunks }, (_, i) => SEARCH_INDEX_CHUNK_PREFIX + i);
+  const values = cache.getAll(keys);
+  if (keys.some(key => values[key] === undefined)) return null;
+  const entries = JSON.parse(keys.map(key => values[key]).join(''));
+  // An index cached before entries were keyed by uid is rebuilt rather than updated
+  return entries.every(entry => entry.key) ? entries : null;
+}
+
+function storeSearchIndex_(entries) {
+  // A single cache value is limited to 100KB, so the serialized index is split across keys
+  const json = JSON.stringify(entries);
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < json.length; i += CONFIG.SEARCH_INDEX_CHUNK_SIZE) {
+    chunks[SEARCH_INDEX_CHUNK_PREFIX + count++] = json.slice(i, i + CONFIG.SEARCH_INDEX_CHUNK_SIZE);
+  }
+
+  const cache = CacheService.getScriptCache();
+  cache.putAll(chunks, CONFIG.SEARCH_INDEX_EXPIRATION);
+  cache.put(SEARCH_INDEX_META_KEY, JSON.stringify({ chunks: count }), CONFIG.SEARCH_INDEX_EXPIRATION);
+}
+
+function rebuildSearchIndex_() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const cols = getColumnMappings(headers);
+  const entries = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+    .map(row => createSearchEntry_(row, cols));
+
+  storeSearchIndex_(entries);
+  return entries;
+}
+
+function getSearchIndex_() {
+  return readCachedSearchIndex_() || rebuildSearchIndex_();
+}
+
+function invalidateSearchIndex_() {
+  CacheService.getScriptCache().remove(SEARCH_INDEX_META_KEY);
+  invalidateStatistics_();
+}
+
+function updateSearchIndex_(rows, cols) {
+  try {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      // Nothing to update if the index is not cached; the next search rebuilds it from the sheet
+      const entries = readCachedSearchIndex_();
+      if (!entries) return;
+
+      rows.forEach(row => {
+        const entry = createSearchEntry_(row, cols);
+        // Entries follow the uid, so two rows sharing a display ID never overwrite each other
+        const index = entries.findIndex(existing => existing.key === entry.key);
+        if (index !== -1) entries[index] = entry;
+        else entries.push(entry);
+      });
+      storeSearchIndex_(entries);
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    console.error("Error updating search index:", error);
+    invalidateSearchIndex_();
+  }
+}
+
+function indexSheetRows_(sheet, sheetRows) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const rows = sheetRows.map(sheetRow => sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0]);
+  updateSearchIndex_(rows, getColumnMappings(headers));
+  // Every saved or submitted row passes through here, so cached statistics are dropped with it
+  invalidateStatistics_();
+}
+
+function editDistance_(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function scoreNameTerm_(term, nameTokens) {
+  let best = 0;
+  nameTokens.forEach(token => {
+    if (token === term) best = Math.max(best, 3);
+    else if (token.indexOf(term) === 0) best = Math.max(best, 2);
+    else {
+      // Allow one typo in short names and two in long ones
+      const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+      if (allowed > 0 && editDistance_(term, token) <= allowed) best = Math.max(best, 1);
+    }
+  });
+  return best;
+}
+
+function normalizeSearchCriteria_(criteria) {
+  const text = value => (value === null || value === undefined ? '' : String(value).trim());
+  const startDate = text(criteria.startDate) ? new Date(criteria.startDate) : null;
+  const endDate = text(criteria.endDate) ? new Date(criteria.endDate) : null;
+  if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+    throw appError_('error.invalidDateRange');
+  }
+
+  return {
+    id: text(criteria.id),
+    nameTerms: normalizeName_(criteria.name).split(' ').filter(Boolean),
+    email: normalizeEmail_(criteria.email),
+    phone: text(criteria.phone).replace(/\D/g, ''),
+    startTime: startDate ? startDate.getTime() : null,
+    endTime: endDate ? endDate.getTime() : null,
+    codes: splitCodes_(criteria.codes).map(code => code.toUpperCase()),
+    keywords: foldDiacritics_(criteria.diagnosis).split(/\s+/).filter(Boolean),
+    faculty: foldDiacritics_(criteria.faculty).trim(),
+    year: text(criteria.year)
+  };
+}
+
+function scoreSearchEntry_(entry, query) {
+  if (query.id && entry.id !== query.id) return -1;
+  if (query.email && entry.email.indexOf(query.email) === -1) return -1;
+  if (query.phone && entry.phone.indexOf(query.phone) === -1) return -1;
+  if (query.startTime !== null && entry.time < query.startTime) return -1;
+  if (query.endTime !== null && entry.time > query.endTime) return -1;
+  if (query.codes.some(code => entry.codes.indexOf(code) === -1)) return -1;
+  if (query.keywords.some(keyword => entry.diagnosis.indexOf(keyword) === -1)) return -1;
+  if (query.faculty && entry.faculty.indexOf(query.faculty) === -1) return -1;
+  if (query.year && entry.year !== query.year) return -1;
+
+  let score = 0;
+  if (query.nameTerms.length > 0) {
+    const nameTokens = entry.name.split(' ');
+    for (const term of query.nameTerms) {
+      const termScore = scoreNameTerm_(term, nameTokens);
+      if (termScore === 0) return -1;
+      score += termScore;
+    }
+  }
+  return score;
+}
+
+function searchPatients(criteria, cursor, pageSize) {
+  requireRole_('searchPatients');
+  const query = normalizeSearchCriteria_(criteria || {});
+  const hasCriteria = query.id || query.nameTerms.length > 0 || query.email || query.phone ||
+    query.startTime !== null || query.endTime !== null || query.codes.length > 0 ||
+    query.keywords.length > 0 || query.faculty || query.year;
+  if (!hasCriteria) throw appError_('error.searchCriteriaMissing');
+
+  const matches = getSearchIndex_()
+    .map(entry => ({ entry, score: scoreSearchEntry_(entry, query) }))
+    .filter(match => match.score >= 0)
+    .sort((a, b) => b.score - a.score || b.entry.time - a.entry.time);
+
+  const total = matches.length;
+  const offset = Math.max(parseInt(cursor, 10) || 0, 0);
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || CONFIG.PAGE_SIZE, 1), CONFIG.MAX_PAGE_SIZE);
+  const page = matches.slice(offset, offset + size);
+  if (page.length === 0) return { patients: [], total, cursor: offset, nextCursor: null };
+
+  const sheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEET_NAME);
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const cols = getColumnMappings(headers);
+  const ids = getPatientIds_(sheet);
+  const uids = cols.uid === -1 || ids.length === 0 ? [] : sheet.getRange(2, cols.uid + 1, ids.length, 1).getValues().flat();
+
+  const patients = [];
+  page.forEach(({ entry }) => {
+    // Rows are found by uid; the display ID is only used for rows that never got one
+    const rowIndex = entry.uid ? uids.indexOf(entry.uid) : binarySearch(ids, entry.id);
+    // The index can trail the sheet after a manual edit; skip rows that have since disappeared
+    if (rowIndex === -1) return;
+    patients.push(createPatientObject(sheet.getRange(rowIndex + 2, 1, 1, headers.length).getValues()[0], cols));
+  });
+
+  return {
+    patients,
+    total,
+    cursor: offset,
+    nextCursor: offset + page.length < total ? offset + page.length : null
+  };
+}
@@ -0,0 +1,212 @@
+const TRASH_META_HEADERS = ["Trash ID", "Deleted At", "Deleted By"];
+
+function getTrashRetentionDays_() {
+  const days = parseInt(PropertiesService.getScriptProperties().getProperty('TRASH_RETENTION_DAYS'), 10);
+  return isNaN(days) || days < 1 ? CONFIG.TRASH_RETENTION_DAYS : days;
+}
+
+function getTrashSheet_(mainHeaders) {
+  const sheet = getProtectedSheet_(CONFIG.TRASH_SHEET_NAME, TRASH_META_HEADERS.concat(mainHeaders));
+  const trashHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = mainHeaders.filter(header => header !== '' && trashHeaders.indexOf(header) === -1);
+  if (missing.length > 0) {
+    sheet.getRange(1, trashHeaders.length + 1, 1, missing.length).setValues([missing]).setFontWeight("bold");
+  }
+  return sheet;
+}
+
+function trashPatients(criteria) {
+  requireRole_('trashPatients');
+  if (!criteria || (!Array.isArray(criteria.ids) && !(criteria.startDate && criteria.endDate))) {
+    throw appError_('error.deleteCriteriaMissing');
+  }
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) throw appError_('error.sheetMissing');
+
+    const allData = sheet.getDataRange().getValues();
+    const headers = allData[0];
+    const cols = getColumnMappings(headers);
+
+    let rowIndexes = [];
+    if (Array.isArray(criteria.ids)) {
+      const ids = new Set(criteria.ids.map(id => String(id).trim()).filter(Boolean));
+      for (let i = 1; i < allData.length; i++) {
+        if (ids.has(String(allData[i][cols.id]))) rowIndexes.push(i);
+      }
+    } else {
+      const startRow = findStartRow(allData, cols.timestamp, new Date(criteria.startDate));
+      const endRow = findEndRow(allData, cols.timestamp, new Date(criteria.endDate));
+      for (let i = startRow; i <= endRow; i++) rowIndexes.push(i);
+    }
+
+    if (rowIndexes.length === 0) throw appError_('error.noPatientsForCriteria');
+
+    const trashSheet = getTrashSheet_(headers);
+    const trashHeaders = trashSheet.getRange(1, 1, 1, trashSheet.getLastColumn()).getValues()[0];
+    const deletedAt = new Date();
+    const deletedBy = getCurrentUserEmail_();
+
+    const trashRows = rowIndexes.map(i => trashHeaders.map((header, col) => {
+      if (col === 0) return Utilities.getUuid();
+      if (col === 1) return deletedAt;
+      if (col === 2) return deletedBy;
+      const sourceCol = headers.indexOf(header);
+      return sourceCol === -1 ? '' : allData[i][sourceCol];
+    }));
+    trashSheet.getRange(trashSheet.getLastRow() + 1, 1, trashRows.length, trashHeaders.length).setValues(trashRows);
+
+    deleteSheetRows_(sheet, rowIndexes.map(i => i + 1));
+    invalidateSearchIndex_();
+    return rowIndexes.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function deleteSheetRows_(sheet, sheetRows) {
+  if (sheetRows.length === 0) return;
+
+  // Delete bottom-up in contiguous blocks so earlier row numbers stay valid
+  const rows = sheetRows.slice().sort((a, b) => b - a);
+  let blockEnd = rows[0];
+  let blockStart = rows[0];
+  for (let i = 1; i <= rows.length; i++) {
+    if (rows[i] === blockStart - 1) {
+      blockStart = rows[i];
+      continue;
+    }
+    sheet.deleteRows(blockStart, blockEnd - blockStart + 1);
+    blockEnd = blockStart = rows[i];
+  }
+}
+
+function getTrashedPatients() {
+  requireRole_('getTrashedPatients');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.TRASH_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const cols = getColumnMappings(headers);
+  const retentionMs = getTrashRetentionDays_() * 24 * 60 * 60 * 1000;
+
+  return data.slice(1)
+    .map(row => ({
+      trashId: row[0],
+      deletedAt: parseDateFromSheet(row[1], true),
+      deletedBy: row[2],
+      expiresAt: parseDateFromSheet(new Date(new Date(row[1]).getTime() + retentionMs), false),
+      id: getValue(row, cols.id),
+      timestamp: parseDateFromSheet(getValue(row, cols.timestamp), true),
+      fullName: getValue(row, cols.fullName)
+    }))
+    .reverse();
+}
+
+function restoreTrashedPatients(trashIds) {
+  requireRole_('restoreTrashedPatients');
+  if (!Array.isArray(trashIds) || trashIds.length === 0) throw appError_('error.nothingSelected');
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+    const trashSheet = ss.getSheetByName(CONFIG.TRASH_SHEET_NAME);
+    if (!sheet || !trashSheet) throw appError_('error.sheetMissing');
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    assertSheetLayout_(headers);
+    const cols = getColumnMappings(headers);
+    const trashData = trashSheet.getDataRange().getValues();
+    const trashHeaders = trashData[0];
+    const wanted = new Set(trashIds);
+
+    const restoredTrashRows = [];
+    trashData.forEach((trashRow, i) => {
+      if (i === 0 || !wanted.has(trashRow[0])) return;
+
+      const row = headers.map(header => {
+        const col = trashHeaders.indexOf(header, TRASH_META_HEADERS.length);
+        return col === -1 ? '' : trashRow[col];
+      });
+      insertPatientRowById_(sheet, row, cols);
+      restoredTrashRows.push(i + 1);
+    });
+
+    restoredTrashRows.sort((a, b) => b - a).forEach(row => trashSheet.deleteRow(row));
+    invalidateSearchIndex_();
+    return restoredTrashRows.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function insertPatientRowById_(sheet, row, cols) {
+  const id = row[cols.id];
+  const lastRow = sheet.getLastRow();
+  const ids = getPatientIds_(sheet);
+  if (binarySearch(ids, id) !== -1) throw appError_('error.idInUse', { id });
+
+  // Lower bound on the sorted ID column keeps binarySearch valid after the insert
+  let low = 0;
+  let high = ids.length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (ids[mid] < id) low = mid + 1;
+    else high = mid;
+  }
+
+  const targetRow = low + 2;
+  if (targetRow > lastRow) {
+    sheet.getRange(lastRow + 1, 1, 1, row.length).setValues([row]);
+  } else {
+    sheet.insertRowBefore(targetRow);
+    sheet.getRange(targetRow, 1, 1, row.length).setValues([row]);
+  }
+}
+
+function purgeExpiredTrash(e) {
+  requireRole_('purgeExpiredTrash', e);
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.TRASH_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) return 0;
+
+    const cutoff = new Date(Date.now() - getTrashRetentionDays_() * 24 * 60 * 60 * 1000);
+    const deletedAt = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues().flat();
+    const expiredRows = deletedAt
+      .map((date, i) => new Date(date) < cutoff ? i + 2 : null)
+      .filter(Boolean)
+      .reverse();
+
+    expiredRows.forEach(row => sheet.deleteRow(row));
+    console.log(`Purged ${expiredRows.length} expired trash rows`);
+    return expiredRows.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function installTrashPurgeTrigger() {
+  requireRole_('installTrashPurgeTrigger');
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'purgeExpiredTrash');
+  if (!exists) {
+    ScriptApp.newTrigger('purgeExpiredTrash').timeBased().everyDays(1).atHour(3).create();
+  }
+  return !exists;
+}
+
+function backupSpreadsheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const name = `Backup ${ss.getName()} ${parseDateFromSheet(new Date(), true)}`;
+  const copy = DriveApp.getFileById(ss.getId()).makeCopy(name);
+  console.log(`Backup created: ${name} (${copy.getId()})`);
+  return name;
+}
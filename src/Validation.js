@@ -0,0 +1,126 @@
+const SERIAL_FORMATS = {
+  btCas: { letters: 5, digits: 7, example: 'ABCDE 1234567' },
+  rpGratuita: { letters: 6, digits: 5, example: 'ABCDEF 12345' }
+};
+
+const BT_CAS_TYPES = ['Acut', 'Cronic'];
+
+const CERTIFICATE_RANGES = [
+  { start: 'amAbsentaStart', end: 'amAbsentaEnd', label: 'range.absence' },
+  { start: 'amSportStart', end: 'amSportEnd', label: 'range.sport' }
+];
+
+const MEASUREMENT_LIMITS = {
+  ebInaltime: { label: 'measure.height', min: 50, max: 250, unit: 'cm', decimals: 0 },
+  ebGreutate: { label: 'measure.weight', min: 25, max: 250, unit: 'kg', decimals: 1 }
+};
+
+function normalizeSerial_(value, format) {
+  const cleaned = (value || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!cleaned) return '';
+  const letters = cleaned.slice(0, format.letters).replace(/[^A-Z]/g, '');
+  const digits = cleaned.slice(format.letters).replace(/\D/g, '');
+  return digits ? `${letters} ${digits}` : letters;
+}
+
+function isValidSerial_(value, format) {
+  return new RegExp(`^[A-Z]{${format.letters}} \\d{${format.digits}}$`).test(value);
+}
+
+function normalizeMeasurement_(value, limits) {
+  const text = (value || '').toString().trim().replace(',', '.');
+  if (!text) return { value: '' };
+  const number = Number(text);
+  if (isNaN(number)) return { value: text, error: codedMessage_('validation.notNumber', { label: messageRef_(limits.label) }) };
+  if (number < limits.min || number > limits.max) {
+    return {
+      value: text,
+      error: codedMessage_('validation.outOfRange', { label: messageRef_(limits.label), min: limits.min, max: limits.max, unit: limits.unit })
+    };
+  }
+  return { value: String(Number(number.toFixed(limits.decimals))) };
+}
+
+function calculateBmi_(height, weight) {
+  if (!height || !weight) return '';
+  const meters = Number(height) / 100;
+  return (Number(weight) / (meters * meters)).toFixed(1);
+}
+
+function validatePatientData_(patientData, catalogue = getDiseaseCatalogue_()) {
+  const data = Object.assign({}, patientData);
+  const errors = [];
+  const addError = (field, code, params) => errors.push({ field, message: codedMessage_(code, params) });
+  const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+  ['diagnosis', 'rpIntegrala', 'btSimplu', 'amAlt'].forEach(field => { data[field] = text(data[field]); });
+  data.amBursa = !!data.amBursa;
+  data.aeAviz = !!data.aeAviz;
+
+  for (let i = 1; i <= 3; i++) {
+    const serialField = `btCas${i}`;
+    const specialtyField = `specialitate${i}`;
+    const typeField = `tip${i}`;
+    data[serialField] = normalizeSerial_(data[serialField], SERIAL_FORMATS.btCas);
+    data[specialtyField] = text(data[specialtyField]);
+    data[typeField] = text(data[typeField]);
+
+    if (data[serialField] && !isValidSerial_(data[serialField], SERIAL_FORMATS.btCas)) {
+      addError(serialField, 'validation.btCasFormat', { index: i, example: SERIAL_FORMATS.btCas.example });
+    }
+    if (data[typeField] && BT_CAS_TYPES.indexOf(data[typeField]) === -1) {
+      addError(typeField, 'validation.btCasType', { index: i, type: data[typeField] });
+    }
+    if (data[serialField] || data[specialtyField] || data[typeField]) {
+      [serialField, specialtyField, typeField]
+        .filter(field => !data[field])
+        .forEach(field => addError(field, 'validation.btCasIncomplete', { index: i }));
+    }
+  }
+
+  data.rpGratuita = normalizeSerial_(data.rpGratuita, SERIAL_FORMATS.rpGratuita);
+  if (data.rpGratuita && !isValidSerial_(data.rpGratuita, SERIAL_FORMATS.rpGratuita)) {
+    addError('rpGratuita', 'validation.rpGratuitaFormat', { example: SERIAL_FORMATS.rpGratuita.example });
+  }
+
+  CERTIFICATE_RANGES.forEach(({ start, end, label }) => {
+    const range = messageRef_(label);
+    data[start] = text(data[start]);
+    data[end] = text(data[end]);
+    if (!data[start] && !data[end]) return;
+
+    if (!data[start]) addError(start, 'validation.rangeStartMissing', { range });
+    if (!data[end]) addError(end, 'validation.rangeEndMissing', { range });
+    if (!data[start] || !data[end]) return;
+
+    const startDate = new Date(data[start]);
+    const endDate = new Date(data[end]);
+    if (isNaN(startDate.getTime())) addError(start, 'validation.rangeStartInvalid', { range });
+    if (isNaN(endDate.getTime())) addError(end, 'validation.rangeEndInvalid', { range });
+    if (startDate > endDate) addError(end, 'validation.rangeOrder', { range });
+  });
+
+  ['codes1', 'codes2'].forEach(field => {
+    data[field] = splitCodes_(data[field]).join(' ');
+    const unknownCodes = findUnknownCodes_(data[field], catalogue);
+    if (unknownCodes.length > 0) addError(field, 'validation.unknownCodes', { codes: Array.from(new Set(unknownCodes)) });
+  });
+
+  Object.keys(MEASUREMENT_LIMITS).forEach(field => {
+    const result = normalizeMeasurement_(data[field], MEASUREMENT_LIMITS[field]);
+    data[field] = result.value;
+    if (result.error) errors.push({ field, message: result.error });
+  });
+
+  if (data.ebInaltime || data.ebGreutate || data.codes2) {
+    if (!data.ebInaltime) addError('ebInaltime', 'validation.heightMissing');
+    if (!data.ebGreutate) addError('ebGreutate', 'validation.weightMissing');
+    if (!data.codes2) addError('codes2', 'validation.ebCodesMissing');
+  }
+
+  // BMI is always derived from height and weight, never taken from the client
+  const measurementErrors = errors.some(error => MEASUREMENT_LIMITS[error.field]);
+  data.ebIMC = measurementErrors ? '' : calculateBmi_(data.ebInaltime, data.ebGreutate);
+
+  return { data, errors };
+}
@@ -0,0 +1,49 @@
+const PATIENT_STATUSES = {
+  waiting: 'status.waiting',
+  in_progress: 'status.in_progress',
+  done: 'status.done'
+};
+
+function derivePatientStatus_(patient) {
+  if (PATIENT_STATUSES[patient.statusOverride]) return patient.statusOverride;
+  if (patient.diagnosis && patient.codes1) return 'done';
+
+  // Any clinical value entered from the dashboard means the consultation has started
+  const started = getEditableFields_().some(field => getFieldInputs_(field).some(input => !!patient[input.key]));
+  return started ? 'in_progress' : 'waiting';
+}
+
+function setPatientStatus(patientId, uid, status) {
+  requireRole_('setPatientStatus');
+  if (status && !PATIENT_STATUSES[status]) throw appError_('error.unknownStatus', { status });
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const statusColumn = ensureColumn_(sheet, CONFIG.STATUS_COLUMN);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cols = getColumnMappings(headers);
+    const sheetRow = findPatientRowByUid_(sheet, cols, patientId, uid);
+    const cell = sheet.getRange(sheetRow, statusColumn);
+    const before = cell.getValue();
+
+    // The status is not part of the form, so it does not bump the row version and cannot cause save conflicts
+    cell.setValue(status || '');
+    recordPatientRevision_(patientId, [CONFIG.STATUS_COLUMN], [before], [status || ''], 'status', uid);
+    return createPatientObject(sheet.getRange(sheetRow, 1, 1, headers.length).getValues()[0], cols);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getPatientListStamp() {
+  requireRole_('getPatientListStamp');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return { rows: 0, lastId: '' };
+
+  // Polled by every open dashboard, so only the last ID cell is read
+  const lastRow = sheet.getLastRow();
+  const idColumn = getColumnMappings(sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]).id;
+  return { rows: lastRow - 1, lastId: idColumn === -1 ? '' : String(sheet.getRange(lastRow, idColumn + 1).getValue()) };
+}